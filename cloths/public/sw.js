@@ -0,0 +1,224 @@
+/**
+ * Service worker: keeps the app usable offline with the offer data it last
+ * saw, and refreshes that copy whenever the network is there.
+ *
+ *   shell   index.html (network first) and the hashed /assets/ files it
+ *           references (cache first — a new build means new names)
+ *   data    offers.json, cards.json, the registries and the CSVs: network
+ *           first with a short timeout; the cached copy answers when the
+ *           network fails or is slow, and the page is told how old it is
+ *   images  merchant logos and card art, cache first, refreshed in the
+ *           background; opaque (no-cors) ones in a smaller cache of their
+ *           own, as each counts for several MB against the storage quota
+ *
+ * Cached data responses carry X-Cached-At, the time they were fetched. Bump
+ * CACHE_VERSION to drop every cache on the next activation.
+ */
+const CACHE_VERSION = 1;
+const SHELL_CACHE = `shell-v${CACHE_VERSION}`;
+const DATA_CACHE = `data-v${CACHE_VERSION}`;
+const IMAGE_CACHE = `images-v${CACHE_VERSION}`;
+const OPAQUE_IMAGE_CACHE = `opaque-images-v${CACHE_VERSION}`;
+const CACHES = [SHELL_CACHE, DATA_CACHE, IMAGE_CACHE, OPAQUE_IMAGE_CACHE];
+
+const CACHED_AT_HEADER = "X-Cached-At";
+/** Posted to the page when it was answered from the data cache */
+const STALE_DATA_MESSAGE = "offers-data-stale";
+
+const NETWORK_TIMEOUT_MS = 4000;
+const MAX_IMAGES = 150;
+const MAX_OPAQUE_IMAGES = 20;
+
+const isDataPath = (path) => /^\/[^/]+\.(json|csv)$/i.test(path);
+
+/** Copy of a response stamped with the time it was fetched */
+async function stamped(res) {
+  const headers = new Headers(res.headers);
+  headers.set(CACHED_AT_HEADER, new Date().toISOString());
+  return new Response(await res.blob(), {
+    status: res.status,
+    statusText: res.statusText,
+    headers,
+  });
+}
+
+/** index.html plus every /assets/ file it links, so a first visit works offline */
+async function precacheShell() {
+  const cache = await caches.open(SHELL_CACHE);
+  const res = await fetch("/index.html", { cache: "no-cache" });
+  if (!res.ok) return;
+  const html = await res.clone().text();
+  await cache.put("/index.html", res);
+  const assets = [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map(
+    (m) => m[1]
+  );
+  await cache.addAll([...new Set(assets)]);
+}
+
+/** The registry's logos, so merchant fallbacks show offline too */
+async function precacheLogos() {
+  try {
+    const res = await fetch("/merchants.json", { cache: "no-cache" });
+    const list = await res.json();
+    const logos = (Array.isArray(list) ? list : [])
+      .map((m) => m?.logo)
+      .filter((url) => typeof url === "string" && /^https?:/.test(url));
+    await Promise.all(
+      logos.map((url) =>
+        fetch(url, { mode: "no-cors" })
+          .then((r) => storeImage(url, r))
+          .catch(() => {})
+      )
+    );
+  } catch {
+    // no registry: logos are cached as the app shows them
+  }
+}
+
+/** Drop the oldest entries of an image cache beyond `max` */
+async function trimCache(name, max) {
+  const cache = await caches.open(name);
+  const keys = await cache.keys();
+  const excess = keys.slice(0, Math.max(0, keys.length - max));
+  await Promise.all(excess.map((k) => cache.delete(k)));
+}
+
+async function storeImage(request, res) {
+  const opaque = res.type === "opaque";
+  const name = opaque ? OPAQUE_IMAGE_CACHE : IMAGE_CACHE;
+  const cache = await caches.open(name);
+  await cache.put(request, res);
+  await trimCache(name, opaque ? MAX_OPAQUE_IMAGES : MAX_IMAGES);
+}
+
+async function matchImage(request) {
+  const cache = await caches.open(IMAGE_CACHE);
+  const opaque = await caches.open(OPAQUE_IMAGE_CACHE);
+  return (await cache.match(request)) || (await opaque.match(request));
+}
+
+async function notifyStale(clientId, url, cached) {
+  const client = clientId && (await self.clients.get(clientId));
+  if (!client) return;
+  client.postMessage({
+    type: STALE_DATA_MESSAGE,
+    url,
+    cachedAt: cached.headers.get(CACHED_AT_HEADER) || null,
+  });
+}
+
+/** Network first; the shell copy when offline, for any route (/admin too) */
+async function handleNavigation(request) {
+  try {
+    const res = await fetch(request);
+    if (res.ok) {
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.put("/index.html", res.clone());
+    }
+    return res;
+  } catch (e) {
+    const cached = await caches.match("/index.html");
+    if (cached) return cached;
+    throw e;
+  }
+}
+
+async function handleAsset(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const res = await fetch(request);
+  if (res.ok) {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.put(request, res.clone());
+  }
+  return res;
+}
+
+/**
+ * Network first, but never wait on it longer than NETWORK_TIMEOUT_MS when
+ * there's a cached copy: that answers instead, and the fetch keeps going to
+ * refresh the cache for next time.
+ */
+async function handleData(event) {
+  const { request } = event;
+  const cache = await caches.open(DATA_CACHE);
+  const cached = await cache.match(request, { ignoreSearch: true });
+
+  const network = fetch(request).then(async (res) => {
+    if (res.ok) await cache.put(request, await stamped(res.clone()));
+    return res;
+  });
+  event.waitUntil(network.catch(() => {}));
+
+  if (!cached) return network;
+
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(null), NETWORK_TIMEOUT_MS);
+  });
+  const res = await Promise.race([network.catch(() => null), timeout]);
+  clearTimeout(timer);
+  if (res) return res;
+
+  event.waitUntil(notifyStale(event.clientId, request.url, cached));
+  return cached;
+}
+
+/**
+ * Cache first, refreshed in the background; opaque cross-origin logos
+ * included. Storing is kept off the response path: a full quota
+ * (QuotaExceededError) must not fail an image the network delivered.
+ */
+async function handleImage(event) {
+  const { request } = event;
+  const cached = await matchImage(request);
+
+  const network = fetch(request).then((res) => {
+    if (res.ok || res.type === "opaque") {
+      event.waitUntil(storeImage(request, res.clone()).catch(() => {}));
+    }
+    return res;
+  });
+  if (!cached) return network;
+  event.waitUntil(network.catch(() => {}));
+  return cached;
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    Promise.all([precacheShell(), precacheLogos()]).then(() =>
+      self.skipWaiting()
+    )
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys.filter((k) => !CACHES.includes(k)).map((k) => caches.delete(k))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  if (request.mode === "navigate") {
+    event.respondWith(handleNavigation(request));
+  } else if (request.destination === "image") {
+    event.respondWith(handleImage(event));
+  } else if (url.origin !== self.location.origin) {
+    return;
+  } else if (url.pathname.startsWith("/assets/")) {
+    event.respondWith(handleAsset(request));
+  } else if (isDataPath(url.pathname)) {
+    event.respondWith(handleData(event));
+  }
+});
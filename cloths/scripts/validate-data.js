@@ -0,0 +1,329 @@
+#!/usr/bin/env node
+/**
+ * Offline linter for the offer CSVs in public/.
+ *
+ *   npm run validate-data                 human-readable report
+ *   npm run validate-data -- --json       JSON report on stdout
+ *   npm run validate-data -- --out r.json also write the JSON report to a file
+ *   npm run validate-data -- --strict     fail on warnings too
+ *
+ * Exits 1 when any error is found (or any warning with --strict), else 0.
+ * Card names are normalized exactly as the app does (offerFields.js), so an
+ * "unknown card" here is a card the dropdown can never select.
+ */
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import Papa from "papaparse";
+import {
+  LIST_FIELDS,
+  toNorm,
+  firstField,
+  splitList,
+  getBase,
+  brandCanonicalize,
+} from "../src/offerFields.js";
+import { DEFAULT_MERCHANTS, normalizeMerchants } from "../src/merchants.js";
+import { isCardItem } from "../src/eligibility.js";
+import { CATALOG_FILE, metaOwner } from "../src/cardCatalog.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const PUBLIC_DIR = path.join(ROOT, "public");
+
+const PLACEHOLDER_IMAGE = /^(na|n\/a|null|undefined|-|image unavailable)$/i;
+
+/** Encoding damage we've actually shipped, with what it usually was */
+const ENCODING_CHECKS = [
+  { re: /\?\s?\d/, what: '"?" before a number (mangled ₹ sign)' },
+  { re: /[A-Za-z]\?[a-z]/, what: '"?" inside a word (mangled apostrophe/dash)' },
+  { re: /\d\?\d/, what: '"?" between numbers (mangled dash in a range)' },
+  { re: /�/, what: "Unicode replacement character" },
+  { re: /â‚¹|â€|Ã[\u0080-¿]/, what: "UTF-8 read as Latin-1 (mojibake)" },
+];
+
+const cardKey = (raw) => toNorm(brandCanonicalize(getBase(raw)));
+
+function parseArgs(argv) {
+  const args = { json: false, strict: false, out: "" };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--json") args.json = true;
+    else if (argv[i] === "--strict") args.strict = true;
+    else if (argv[i] === "--out") args.out = argv[++i] || "";
+  }
+  return args;
+}
+
+function readCsv(file) {
+  const raw = fs.readFileSync(path.join(PUBLIC_DIR, file), "utf8");
+  const parsed = Papa.parse(raw, { header: true, skipEmptyLines: true });
+  return { raw, parsed };
+}
+
+/** Keep long cell values (base64 images, paragraphs) readable in messages */
+const clip = (val, n = 60) => {
+  const s = String(val).replace(/\s+/g, " ");
+  return s.length > n ? `${s.slice(0, n)}…` : s;
+};
+
+function isHttpUrl(val) {
+  try {
+    const u = new URL(String(val).trim());
+    return u.protocol === "http:" || u.protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+/** Header row checks shared by every file */
+function checkHeaders(file, raw, fields, required, issues) {
+  if (raw.charCodeAt(0) === 0xfeff) {
+    issues.push({
+      file,
+      severity: "error",
+      type: "header",
+      message: "File starts with a UTF-8 BOM; the first header name will not match",
+    });
+  }
+  const seen = new Set();
+  fields.forEach((f, i) => {
+    const header = (message) =>
+      issues.push({ file, severity: "error", type: "header", message });
+    if (!String(f).trim()) header(`Column ${i + 1} has an empty header`);
+    else if (f !== f.trim()) header(`Header "${f}" has leading/trailing spaces`);
+    if (seen.has(f.trim())) header(`Duplicate header "${f.trim()}"`);
+    seen.add(f.trim());
+  });
+  for (const [field, label] of required) {
+    if (!LIST_FIELDS[field].some((k) => fields.includes(k))) {
+      issues.push({
+        file,
+        severity: "error",
+        type: "header",
+        message: `No ${label} column (one of: ${LIST_FIELDS[field].join(", ")})`,
+      });
+    }
+  }
+}
+
+/** allCards.csv → { catalog: { credit, debit } sets of card keys, rows } */
+function loadCatalog(issues) {
+  const { raw, parsed } = readCsv(CATALOG_FILE);
+  checkHeaders(
+    CATALOG_FILE,
+    raw,
+    parsed.meta.fields || [],
+    [
+      ["credit", "credit card"],
+      ["debit", "debit card"],
+    ],
+    issues
+  );
+  const catalog = { credit: new Set(), debit: new Set() };
+  const META = ["issuer", "network", "tier", "annualFee", "cardImage", "aliases"];
+  parsed.data.forEach((row, i) => {
+    const names = { credit: [], debit: [] };
+    for (const type of ["credit", "debit"]) {
+      names[type] = splitList(firstField(row, LIST_FIELDS[type]));
+      for (const raw of names[type]) {
+        const k = cardKey(raw);
+        if (k) catalog[type].add(k);
+      }
+    }
+    const owner = metaOwner(names);
+    const hasMeta = META.some((f) => firstField(row, LIST_FIELDS[f]));
+    const at = { file: CATALOG_FILE, row: i + 2 };
+    if (hasMeta && !owner) {
+      issues.push({
+        ...at,
+        severity: "warning",
+        type: "catalog-meta",
+        message:
+          "Metadata needs a single credit card, or a single debit card and no credit card; ignored",
+      });
+    }
+    const image = String(firstField(row, LIST_FIELDS.cardImage) || "").trim();
+    if (image && !isHttpUrl(image) && !image.startsWith("data:image/")) {
+      issues.push({
+        ...at,
+        severity: "warning",
+        type: "image",
+        message: `Card image "${clip(image)}" is not an http(s) or data: image URL`,
+      });
+    }
+    // aliases count as known names for the unknown-card check
+    if (owner) {
+      const aliases = String(firstField(row, LIST_FIELDS.aliases) || "");
+      for (const a of aliases.split(/[;|\n]/)) {
+        if (a.trim()) catalog[owner].add(cardKey(a));
+      }
+    }
+  });
+  return { catalog, rows: parsed.data.length };
+}
+
+function loadRegistry() {
+  const file = path.join(PUBLIC_DIR, "merchants.json");
+  if (fs.existsSync(file)) {
+    const list = normalizeMerchants(JSON.parse(fs.readFileSync(file, "utf8")));
+    if (list.length) return list;
+  }
+  return normalizeMerchants(DEFAULT_MERCHANTS);
+}
+
+function checkMerchantFile(merchant, catalog, issues) {
+  const { file } = merchant;
+  const { raw, parsed } = readCsv(file);
+  const fields = parsed.meta.fields || [];
+  checkHeaders(
+    file,
+    raw,
+    fields,
+    [
+      ["title", "offer title"],
+      ["desc", "description"],
+    ],
+    issues
+  );
+
+  for (const err of parsed.errors) {
+    issues.push({
+      file,
+      row: err.row !== undefined ? err.row + 2 : undefined,
+      severity: "error",
+      type: "parse",
+      message: `${err.code}: ${err.message}`,
+    });
+  }
+
+  const seenRows = new Map();
+  parsed.data.forEach((row, i) => {
+    const line = i + 2; // 1-based, after the header row
+    const at = { file, row: line };
+
+    for (const [col, val] of Object.entries(row)) {
+      const text = String(val ?? "");
+      for (const { re, what } of ENCODING_CHECKS) {
+        const m = text.match(re);
+        if (m) {
+          issues.push({
+            ...at,
+            column: col,
+            severity: "error",
+            type: "encoding",
+            message: `${what}: …${clip(text.slice(Math.max(0, m.index - 15)), 30)}`,
+          });
+          break;
+        }
+      }
+    }
+
+    const link = firstField(row, LIST_FIELDS.link);
+    if (link && !isHttpUrl(link)) {
+      issues.push({
+        ...at,
+        severity: "error",
+        type: "link",
+        message: `Link "${clip(link)}" is not an http(s) URL`,
+      });
+    }
+    const image = String(firstField(row, LIST_FIELDS.image) || "").trim();
+    const imageOk =
+      !image ||
+      PLACEHOLDER_IMAGE.test(image) ||
+      isHttpUrl(image) ||
+      image.startsWith("data:image/");
+    if (!imageOk) {
+      issues.push({
+        ...at,
+        severity: "warning",
+        type: "image",
+        message: `Image "${clip(image)}" is not an http(s) or data: image URL`,
+      });
+    }
+
+    for (const type of ["credit", "debit"]) {
+      for (const rawCard of splitList(firstField(row, LIST_FIELDS[type]))) {
+        const k = cardKey(rawCard);
+        if (!k || catalog[type].has(k) || !isCardItem(rawCard)) continue;
+        issues.push({
+          ...at,
+          severity: "warning",
+          type: "unknown-card",
+          message: `${type} card "${rawCard}" is not in ${CATALOG_FILE}`,
+        });
+      }
+    }
+
+    const sig = JSON.stringify(fields.map((f) => String(row[f] ?? "").trim()));
+    if (seenRows.has(sig)) {
+      issues.push({
+        ...at,
+        severity: "error",
+        type: "duplicate",
+        message: `Exact duplicate of row ${seenRows.get(sig)}`,
+      });
+    } else {
+      seenRows.set(sig, line);
+    }
+  });
+
+  return parsed.data.length;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const issues = [];
+  const files = [];
+
+  const { catalog, rows: catalogRows } = loadCatalog(issues);
+  files.push({ file: CATALOG_FILE, rows: catalogRows });
+
+  for (const merchant of loadRegistry()) {
+    if (!fs.existsSync(path.join(PUBLIC_DIR, merchant.file))) {
+      issues.push({
+        file: merchant.file,
+        severity: merchant.enabled ? "warning" : "info",
+        type: "missing-file",
+        message: `${merchant.name} is registered but ${merchant.file} is not in public/`,
+      });
+      continue;
+    }
+    const rows = checkMerchantFile(merchant, catalog, issues);
+    files.push({ file: merchant.file, rows });
+  }
+
+  const count = (sev) => issues.filter((i) => i.severity === sev).length;
+  const report = {
+    generatedAt: new Date().toISOString(),
+    files,
+    summary: { errors: count("error"), warnings: count("warning") },
+    issues,
+  };
+
+  if (args.out) fs.writeFileSync(args.out, JSON.stringify(report, null, 2));
+  if (args.json) {
+    process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+  } else {
+    for (const i of issues) {
+      const where = [
+        i.file,
+        i.row && `row ${i.row}`,
+        i.column && `"${i.column}"`,
+      ]
+        .filter(Boolean)
+        .join(" ");
+      const sev = i.severity.toUpperCase().padEnd(7);
+      console.log(`${sev} ${where}: [${i.type}] ${i.message}`);
+    }
+    const { errors, warnings } = report.summary;
+    console.log(
+      `\n${files.length} file(s) checked: ${errors} error(s), ${warnings} warning(s)`
+    );
+  }
+
+  const failed =
+    report.summary.errors > 0 || (args.strict && report.summary.warnings > 0);
+  process.exitCode = failed ? 1 : 0;
+}
+
+main();
@@ -0,0 +1,89 @@
+/**
+ * Vite plugin: compiles the offer CSVs and allCards.csv in public/ into
+ * offers.json + cards.json (see src/offersData.js for the format).
+ *
+ *   build  both files are emitted next to the copied CSVs in dist/
+ *   dev    both are compiled on request, so CSV edits show on reload
+ *
+ * The merchant list comes from public/merchants.json, else the built-in
+ * defaults — the same registry the app loads. The CSVs are still shipped,
+ * so a missing or stale JSON file only costs the app its fast path.
+ */
+import fs from "node:fs";
+import path from "node:path";
+import { DEFAULT_MERCHANTS, normalizeMerchants } from "../src/merchants.js";
+import {
+  OFFERS_DATA_FILE,
+  CARD_INDEX_FILE,
+  compileOffersData,
+} from "../src/offersData.js";
+
+function readMerchants(publicDir) {
+  try {
+    const raw = fs.readFileSync(path.join(publicDir, "merchants.json"), "utf8");
+    const list = normalizeMerchants(JSON.parse(raw));
+    if (list.length) return list;
+  } catch {
+    // missing or invalid: the app falls back to the defaults too
+  }
+  return normalizeMerchants(DEFAULT_MERCHANTS);
+}
+
+function compile(publicDir) {
+  const readText = (file) => {
+    const full = path.join(publicDir, file);
+    return fs.existsSync(full) ? fs.readFileSync(full, "utf8") : null;
+  };
+  return compileOffersData(readMerchants(publicDir), readText);
+}
+
+export default function offersData() {
+  let publicDir = "";
+
+  return {
+    name: "offers-data",
+
+    configResolved(config) {
+      publicDir = config.publicDir;
+    },
+
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const file = (req.url || "").split("?")[0].slice(1);
+        if (file !== OFFERS_DATA_FILE && file !== CARD_INDEX_FILE) {
+          return next();
+        }
+        let data = null;
+        try {
+          const out = compile(publicDir);
+          data = file === OFFERS_DATA_FILE ? out.offers : out.cards;
+        } catch (e) {
+          server.config.logger.warn(`[offers-data] ${file}: ${e.message}`);
+        }
+        // nothing compiled: let Vite answer as usual, the app reads the CSVs
+        if (!data) return next();
+        res.setHeader("Content-Type", "application/json");
+        res.end(JSON.stringify(data));
+      });
+    },
+
+    generateBundle() {
+      const { offers, cards } = compile(publicDir);
+      this.emitFile({
+        type: "asset",
+        fileName: OFFERS_DATA_FILE,
+        source: JSON.stringify(offers),
+      });
+      if (cards) {
+        this.emitFile({
+          type: "asset",
+          fileName: CARD_INDEX_FILE,
+          source: JSON.stringify(cards),
+        });
+      }
+      const sites = Object.values(offers.sites);
+      const count = sites.reduce((n, s) => n + s.offers.length, 0);
+      this.info?.(`${sites.length} merchant(s), ${count} offers compiled`);
+    },
+  };
+}
@@ -1,238 +1,213 @@
-import React, { useEffect, useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import axios from "axios";
 import Papa from "papaparse";
+import {
+  termBadges,
+  computeSaving,
+  formatINR,
+  sortBySaving,
+} from "./offerParser.js";
+import { isExpired, sortByExpiry, formatDate } from "./offerDates.js";
+import { loadMerchants } from "./merchants.js";
+import { loadCatalog, findCard, annualFeeLabel } from "./cardCatalog.js";
+import { loadSynonyms } from "./synonyms.js";
+import { offerKey, groupOfferRows } from "./offerGroups.js";
+import {
+  OFFERS_DATA_FILE,
+  CARD_INDEX_FILE,
+  loadCompiled,
+  cardIndexEntries,
+  siteOffers,
+} from "./offersData.js";
+import {
+  ENTRY_TYPES,
+  makeEntry,
+  sameEntry,
+  buildCatalog,
+  mergeCatalogs,
+  buildSearch,
+  searchEntries,
+  findOffers,
+  makeWrapper,
+  dedupWrappers,
+} from "./offers.js";
+import { issuersIn } from "./issuers.js";
+import { NETWORKS } from "./cardNetworks.js";
+import { readSeen, writeSeen, snapshotOffers, diffOffers } from "./offerHistory.js";
+import { onStaleData } from "./offline.js";
+import OfferCard from "./OfferCard.jsx";
+import {
+  handleImgError,
+  isNonPaymentOffer,
+  getCouponCode,
+  offerHeadline,
+  downloadBlob,
+} from "./offerDisplay.js";
 import "./App.css";
 
 /** -------------------- CONFIG -------------------- */
-const LIST_FIELDS = {
-  credit: ["Eligible Credit Cards", "Eligible Cards"],
-  debit: ["Eligible Debit Cards", "Applicable Debit Cards"],
-  upi: ["UPI"],
-  netBanking: ["Net Banking"],
-  title: ["Offer Title", "Title", "Offer", "offer"],
-  image: ["Image", "Credit Card Image", "Offer Image", "image", "Image URL"],
-  link: ["Link", "Offer Link", "link", "URL"],
-  desc: ["Description", "Details", "Offer Description", "description"],
-};
-
 const MAX_SUGGESTIONS = 50;
-
-/** Sites that should display the red per-card “Applicable only on {variant} variant” note */
-const VARIANT_NOTE_SITES = new Set([
-  "Myntra",
-  "Ajio",
-  "Tata CLiQ",
-  "Nykaa Fashion",
-]);
-
-/** -------------------- IMAGE FALLBACKS (CLOTHES) -------------------- */
-const FALLBACK_IMAGE_BY_SITE = {
-  myntra:
-    "https://assets.myntassets.com/assets/images/2020/6/5/6b25e0b3-9f2d-4f5a-bb59-9968437bf3e11591347451735-myntra-logo.png",
-  ajio: "https://assets.ajio.com/static/img/Ajio-Logo.svg",
-  amazon: "https://tse2.mm.bing.net/th/id/OIP.cs6rsE5Ogsa4Hm_2Y6hiPwHaEK?pid=Api&P=0&h=180",
-  flipkart:
-    "https://logosmarcas.net/wp-content/uploads/2020/11/Flipkart-Emblema.png",
-  "tata cliq":
-    "https://assets.tatacliq.com/medias/sys_master/images/13965856235550.png",
-  "nykaa fashion":
-    "https://images-static.nykaa.com/media/wysiwyg/2021/nykaa_fashion_logo.png",
-};
-
-function isUsableImage(val) {
-  if (!val) return false;
-  const s = String(val).trim();
-  if (!s) return false;
-  if (/^(na|n\/a|null|undefined|-|image unavailable)$/i.test(s)) return false;
-  return true;
+/** Quiet period after the last keystroke before suggestions are recomputed */
+const SEARCH_DEBOUNCE_MS = 120;
+const MAX_BEST_SAVINGS = 5;
+const MAX_COMPARE = 4;
+
+/** "Best saving" sort without a cart value ranks offers as if for a basket this size */
+const SORT_REFERENCE_CART = 5000;
+
+const OFFER_TYPES = [
+  { key: "instant", label: "Instant discount" },
+  { key: "cashback", label: "Cashback" },
+  { key: "emi", label: "EMI" },
+  { key: "coupon", label: "Coupon" },
+];
+
+/** -------------------- CSV LOADING -------------------- */
+const LOAD_RETRIES = 2;
+const RETRY_DELAY_MS = 600;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/** Vite's dev server answers unknown paths with index.html, so a 200 isn't proof the CSV exists */
+function looksLikeHtml(res) {
+  const type = String(res?.headers?.["content-type"] || "");
+  if (type.includes("text/html")) return true;
+  return /^\s*<(!doctype|html)/i.test(String(res?.data || ""));
 }
 
-/** Decide which image to show + whether it's a fallback (logo) */
-function resolveImage(siteKey, candidate) {
-  const key = String(siteKey || "").toLowerCase();
-  const fallback = FALLBACK_IMAGE_BY_SITE[key];
-  const usingFallback = !isUsableImage(candidate) && !!fallback;
+/**
+ * Fetch + parse one offer CSV with retries.
+ * Resolves (never rejects) to { state: "loaded" | "missing" | "error", rows, parseErrors, attempts, error }.
+ * 404s and HTML fallbacks are "missing" and are not retried; network/5xx errors are.
+ */
+async function loadOfferCsv(name) {
+  let lastError = null;
+  for (let attempt = 1; attempt <= LOAD_RETRIES + 1; attempt++) {
+    try {
+      const res = await axios.get(`/${encodeURIComponent(name)}`, {
+        responseType: "text",
+      });
+      if (looksLikeHtml(res)) {
+        return { state: "missing", rows: [], parseErrors: 0, attempts: attempt, error: null };
+      }
+      const parsed = Papa.parse(res.data, { header: true, skipEmptyLines: true });
+      return {
+        state: "loaded",
+        rows: parsed.data || [],
+        parseErrors: (parsed.errors || []).length,
+        attempts: attempt,
+        error: null,
+      };
+    } catch (e) {
+      lastError = e;
+      if (e?.response?.status === 404) {
+        return { state: "missing", rows: [], parseErrors: 0, attempts: attempt, error: e };
+      }
+      if (attempt <= LOAD_RETRIES) await sleep(RETRY_DELAY_MS * attempt);
+    }
+  }
   return {
-    src: usingFallback ? fallback : candidate,
-    usingFallback,
+    state: "error",
+    rows: [],
+    parseErrors: 0,
+    attempts: LOAD_RETRIES + 1,
+    error: lastError,
   };
 }
 
-/** If the image fails, switch to fallback and mark as fallback for CSS */
-function handleImgError(e, siteKey) {
-  const key = String(siteKey || "").toLowerCase();
-  const fallback = FALLBACK_IMAGE_BY_SITE[key];
-  const el = e.currentTarget;
-  if (fallback && el.src !== fallback) {
-    el.src = fallback;
-    el.classList.add("is-fallback");
-  } else {
-    el.style.display = "none"; // hide if even fallback fails
-  }
-}
-
 /** -------------------- HELPERS -------------------- */
-const toNorm = (s) =>
-  String(s || "")
-    .toLowerCase()
-    .normalize("NFKD")
-    .replace(/[^\w\s]/g, " ")
-    .replace(/\s+/g, " ")
-    .trim();
-
-function firstField(obj, keys) {
-  for (const k of keys) {
-    if (
-      obj &&
-      Object.prototype.hasOwnProperty.call(obj, k) &&
-      obj[k] !== undefined &&
-      obj[k] !== null &&
-      String(obj[k]).trim() !== ""
-    ) {
-      return obj[k];
-    }
-  }
-  return undefined;
-}
-
-/** case-insensitive find for keys that CONTAIN a substring */
-function firstFieldByContains(obj, substr) {
-  if (!obj) return undefined;
-  const target = String(substr).toLowerCase();
-  for (const k of Object.keys(obj)) {
-    if (String(k).toLowerCase().includes(target)) {
-      const v = obj[k];
-      if (v !== undefined && v !== null && String(v).trim() !== "") return v;
-    }
-  }
-  return undefined;
-}
-
-/** split across many separators */
-function splitList(val) {
-  if (!val) return [];
-  return String(val)
-    .split(/,|\/|;|\||\n|\r|\t|\band\b|\bAND\b|•/g)
-    .map((s) => s.trim())
-    .filter(Boolean);
-}
-
-/** Strip trailing parentheses: "HDFC Regalia (Visa Signature)" -> "HDFC Regalia" */
-function getBase(name) {
-  if (!name) return "";
-  return String(name).replace(/\s*\([^)]*\)\s*$/, "").trim();
+/** Toolbar offer-type filter test for a wrapper */
+function offerHasType(wrapper, type) {
+  const t = wrapper.terms || {};
+  if (type === "instant") return t.kind === "instant";
+  if (type === "cashback") return t.kind === "cashback";
+  if (type === "emi") return !!t.emiOnly;
+  if (type === "coupon") return !!getCouponCode(wrapper.offer).code;
+  return false;
 }
 
-/** Variant if present at end-in-parens: "… (Visa Signature)" -> "Visa Signature" */
-function getVariant(name) {
-  if (!name) return "";
-  const m = String(name).match(/\(([^)]+)\)\s*$/);
-  return m ? m[1].trim() : "";
-}
+/** -------------------- WALLET (localStorage) -------------------- */
+const WALLET_STORAGE_KEY = "clothesOffers.wallet";
+const WALLET_VERSION = 1;
 
-/** Canonicalize some common brand spellings */
-function brandCanonicalize(text) {
-  let s = String(text || "");
-  s = s.replace(/\bMakemytrip\b/gi, "MakeMyTrip");
-  s = s.replace(/\bIcici\b/gi, "ICICI");
-  s = s.replace(/\bHdfc\b/gi, "HDFC");
-  s = s.replace(/\bSbi\b/gi, "SBI");
-  s = s.replace(/\bIdfc\b/gi, "IDFC");
-  s = s.replace(/\bPnb\b/gi, "PNB");
-  s = s.replace(/\bRbl\b/gi, "RBL");
-  s = s.replace(/\bYes\b/gi, "YES");
-  return s;
+/** Accepts our export format ({ version, entries }) or a bare array; drops junk */
+function sanitizeWallet(data) {
+  const list = Array.isArray(data) ? data : data?.entries;
+  if (!Array.isArray(list)) return [];
+  const out = [];
+  for (const it of list) {
+    if (!it || !ENTRY_TYPES.includes(it.type) || !it.display) continue;
+    const entry = makeEntry(String(it.display), it.type);
+    if (entry.baseNorm && !out.some((e) => sameEntry(e, entry))) out.push(entry);
+  }
+  return out;
 }
 
-/** Levenshtein distance */
-function lev(a, b) {
-  a = toNorm(a);
-  b = toNorm(b);
-  const n = a.length,
-    m = b.length;
-  if (!n) return m;
-  if (!m) return n;
-  const d = Array.from({ length: n + 1 }, () => Array(m + 1).fill(0));
-  for (let i = 0; i <= n; i++) d[i][0] = i;
-  for (let j = 0; j <= m; j++) d[0][j] = j;
-  for (let i = 1; i <= n; i++) {
-    for (let j = 1; j <= m; j++) {
-      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
-      d[i][j] = Math.min(
-        d[i - 1][j] + 1,
-        d[i][j - 1] + 1,
-        d[i - 1][j - 1] + cost
-      );
-    }
+function readWallet() {
+  try {
+    return sanitizeWallet(JSON.parse(localStorage.getItem(WALLET_STORAGE_KEY)));
+  } catch {
+    return [];
   }
-  return d[n][m];
 }
 
-function scoreCandidate(q, cand) {
-  const qs = toNorm(q);
-  const cs = toNorm(cand);
-  if (!qs) return 0;
-  if (cs.includes(qs)) return 100;
-
-  const qWords = qs.split(" ").filter(Boolean);
-  const cWords = cs.split(" ").filter(Boolean);
-
-  const matchingWords = qWords.filter((qw) =>
-    cWords.some((cw) => cw.includes(qw))
-  ).length;
-  const sim = 1 - lev(qs, cs) / Math.max(qs.length, cs.length);
-  return (matchingWords / Math.max(1, qWords.length)) * 0.7 + sim * 0.3;
+function writeWallet(entries) {
+  try {
+    localStorage.setItem(
+      WALLET_STORAGE_KEY,
+      JSON.stringify({ version: WALLET_VERSION, entries })
+    );
+  } catch (e) {
+    console.debug("[ClothesOffers] wallet save error:", e);
+  }
 }
 
-/** Dropdown entry builder */
-function makeEntry(raw, type) {
-  const base = brandCanonicalize(getBase(raw));
-  return { type, display: base, baseNorm: toNorm(base) };
-}
+/** -------------------- URL STATE (deep links) -------------------- */
+/**
+ * ?card=Axis%20Bank%20Flipkart%20Debit%20Card&type=debit&sites=Flipkart
+ *   &types=cashback,coupon&variant=Visa%20Signature&sort=saving&view=flat&cart=4500
+ * Only non-default values are written, so a bare URL means "nothing picked".
+ */
+const SORT_OPTIONS = ["ending", "saving", "merchant"];
+const DEFAULT_SORT = "ending";
+const OFFER_TYPE_KEYS = OFFER_TYPES.map((t) => t.key);
+
+const csvParam = (val) =>
+  String(val || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
 
-function normalizeUrl(u) {
-  if (!u) return "";
-  let s = String(u).trim().toLowerCase();
-  s = s.replace(/^https?:\/\//, "").replace(/^www\./, "");
-  if (s.endsWith("/")) s = s.slice(0, -1);
-  return s;
-}
-function normalizeText(s) {
-  return toNorm(s || "");
-}
-function offerKey(offer) {
-  const imgGuess =
-    firstField(offer, LIST_FIELDS.image) || firstFieldByContains(offer, "image");
-  const image = normalizeUrl(imgGuess || "");
-  const title = normalizeText(
-    firstField(offer, LIST_FIELDS.title) || offer.Website || ""
-  );
-  const desc = normalizeText(firstField(offer, LIST_FIELDS.desc) || "");
-  const link = normalizeUrl(firstField(offer, LIST_FIELDS.link) || "");
-  return `${title}||${desc}||${image}||${link}`;
+function readUrlState(search) {
+  const p = new URLSearchParams(search || "");
+  const type = p.get("type");
+  const card = (p.get("card") || "").trim();
+  const sort = p.get("sort");
+  return {
+    card: card && ENTRY_TYPES.includes(type) ? { type, display: card } : null,
+    sites: csvParam(p.get("sites")),
+    types: csvParam(p.get("types")).filter((t) => OFFER_TYPE_KEYS.includes(t)),
+    variant: (p.get("variant") || "").trim(),
+    sort: SORT_OPTIONS.includes(sort) ? sort : DEFAULT_SORT,
+    view: p.get("view") === "flat" ? "flat" : "grouped",
+    cart: (p.get("cart") || "").replace(/[^\d.]/g, ""),
+  };
 }
 
-function dedupWrappers(arr, seen) {
-  const out = [];
-  for (const w of arr || []) {
-    const k = offerKey(w.offer);
-    if (seen.has(k)) continue;
-    seen.add(k);
-    out.push(w);
+function toUrlSearch({ card, sites, types, variant, sort, view, cart }) {
+  const p = new URLSearchParams();
+  if (card) {
+    p.set("card", card.display);
+    p.set("type", card.type);
   }
-  return out;
-}
-
-/** 🔹 NEW: does the query contain a word similar to "select"? (handles "selct", "selet", etc.) */
-function hasSelectLikeWord(text) {
-  const qs = toNorm(text);
-  if (!qs) return false;
-  const words = qs.split(" ").filter(Boolean);
-  for (const w of words) {
-    if (w === "select") return true;
-    if (lev(w, "select") <= 2) return true;
-  }
-  return false;
+  if (sites?.length) p.set("sites", sites.join(","));
+  if (types?.length) p.set("types", types.join(","));
+  if (variant) p.set("variant", variant);
+  if (sort && sort !== DEFAULT_SORT) p.set("sort", sort);
+  if (view === "flat") p.set("view", "flat");
+  if (cart) p.set("cart", cart);
+  const qs = p.toString();
+  return qs ? `?${qs}` : "";
 }
 
 /** Disclaimer */
@@ -250,12 +225,414 @@ const Disclaimer = () => (
   </section>
 );
 
+/** Query words found in `text`, wrapped in <mark> (case-insensitive) */
+const Highlight = ({ text, query }) => {
+  const words = [...new Set(String(query || "").trim().split(/\s+/))]
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length)
+    .map((w) => w.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  if (!words.length) return text;
+  const parts = String(text).split(new RegExp(`(${words.join("|")})`, "gi"));
+  return parts.map((part, i) =>
+    i % 2 ? (
+      <mark key={i} className="match">
+        {part}
+      </mark>
+    ) : (
+      part
+    )
+  );
+};
+
+/**
+ * Offline / saved-data notice. `staleSince` is the oldest cached copy the
+ * service worker answered with this session (null when everything came from
+ * the network); once back online a reload fetches fresh offers.
+ */
+const OfflineBanner = ({ online, staleSince }) => {
+  if (online && !staleSince) return null;
+  const dataFrom = staleSince
+    ? ` Showing saved offer data from ${formatDate(staleSince)}.`
+    : "";
+
+  return (
+    <div className="offline-banner" role="status">
+      {online ? (
+        <>
+          Back online.{dataFrom}{" "}
+          <button
+            type="button"
+            className="btn"
+            onClick={() => window.location.reload()}
+          >
+            Refresh offers
+          </button>
+        </>
+      ) : (
+        `You're offline.${dataFrom || " Offers may have changed since this page loaded."}`
+      )}
+    </div>
+  );
+};
+
+/** "What's new since your last visit": new offers per merchant, and the ones that are gone */
+const WhatsNew = ({ since, sites, selected, onlyMine, onToggleMine }) => {
+  const added = sites.filter((s) => s.added.length);
+  const removed = sites.filter((s) => s.removed.length);
+  const removedCount = removed.reduce((n, s) => n + s.removed.length, 0);
+  if (!added.length && !removedCount && !onlyMine) return null;
+
+  return (
+    <section className="whats-new">
+      <h3>What's new since {formatDate(since)}</h3>
+      {selected && (
+        <label className="whats-new-filter">
+          <input
+            type="checkbox"
+            checked={onlyMine}
+            onChange={(e) => onToggleMine(e.target.checked)}
+          />{" "}
+          Only offers for {selected.display}
+        </label>
+      )}
+      {added.length > 0 ? (
+        <ul>
+          {added.map((s) => (
+            <li key={s.merchant.key}>
+              <strong>{s.merchant.name}:</strong>{" "}
+              {s.added.map(offerHeadline).join(", ")}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p>
+          {onlyMine && selected
+            ? `No new offers for ${selected.display}.`
+            : "No new offers."}
+        </p>
+      )}
+      {removedCount > 0 && (
+        <details className="no-longer-available">
+          <summary>No longer available ({removedCount})</summary>
+          <ul>
+            {removed.flatMap((s) =>
+              s.removed.map((r) => (
+                <li key={`${s.merchant.key}-${r.key}`}>
+                  {s.merchant.name}: {r.label}
+                </li>
+              ))
+            )}
+          </ul>
+        </details>
+      )}
+    </section>
+  );
+};
+
+/** Ranked "best savings for your cart" strip + why the rest don't qualify */
+const BestSavingsStrip = ({ cartValue, ranked, ineligible }) => {
+  if (!ranked.length && !ineligible.length) return null;
+  return (
+    <section className="best-savings">
+      <h3>Best savings on a {formatINR(cartValue)} cart</h3>
+      {ranked.length > 0 ? (
+        <ol className="best-savings-list">
+          {ranked.map((r, i) => (
+            <li key={`best-${i}`} className={i === 0 ? "is-top" : ""}>
+              <span className="best-amount">
+                {r.upTo ? "Up to " : "Save "}
+                {formatINR(r.saving)}
+              </span>
+              <span className="best-site">{r.site}</span>
+              <span className="best-title">{r.label}</span>
+              {r.terms.emiOnly && <span className="best-flag">EMI only</span>}
+            </li>
+          ))}
+        </ol>
+      ) : (
+        <p className="best-empty">No offer applies to this cart value yet.</p>
+      )}
+      {ineligible.length > 0 && (
+        <details className="best-ineligible">
+          <summary>{ineligible.length} offer(s) not eligible for this cart</summary>
+          <ul>
+            {ineligible.map((r, i) => (
+              <li key={`inel-${i}`}>
+                <strong>{r.site}</strong> – {r.label}: {r.reason}
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+    </section>
+  );
+};
+
+const SORT_LABELS = {
+  ending: "Ending soon",
+  saving: "Best saving",
+  merchant: "Merchant",
+};
+
+/** Toggle a value in a filter array */
+const toggleIn = (arr, val) =>
+  arr.includes(val) ? arr.filter((v) => v !== val) : [...arr, val];
+
+/** Merchant + offer-type filters, sort and grouped/flat view above the results */
+const ResultsToolbar = ({
+  siteCounts,
+  siteFilter,
+  onSiteFilter,
+  typeFilter,
+  onTypeFilter,
+  sortBy,
+  onSort,
+  viewMode,
+  onView,
+}) => (
+  <div className="results-toolbar">
+    <fieldset>
+      <legend>Merchants</legend>
+      {Object.keys(siteCounts).map((site) => (
+        <label key={site} className={siteCounts[site] ? "" : "is-empty"}>
+          <input
+            type="checkbox"
+            checked={!siteFilter.length || siteFilter.includes(site)}
+            onChange={() => {
+              const base = siteFilter.length
+                ? siteFilter
+                : Object.keys(siteCounts);
+              const next = toggleIn(base, site);
+              // everything ticked is the same as no filter
+              onSiteFilter(
+                next.length === Object.keys(siteCounts).length ? [] : next
+              );
+            }}
+          />{" "}
+          {site} <span className="count">({siteCounts[site]})</span>
+        </label>
+      ))}
+    </fieldset>
+
+    <fieldset>
+      <legend>Offer type</legend>
+      {OFFER_TYPES.map((t) => (
+        <label key={t.key}>
+          <input
+            type="checkbox"
+            checked={typeFilter.includes(t.key)}
+            onChange={() => onTypeFilter(toggleIn(typeFilter, t.key))}
+          />{" "}
+          {t.label}
+        </label>
+      ))}
+    </fieldset>
+
+    <fieldset>
+      <legend>Sort &amp; view</legend>
+      <select value={sortBy} onChange={(e) => onSort(e.target.value)}>
+        {SORT_OPTIONS.map((k) => (
+          <option key={k} value={k}>
+            {SORT_LABELS[k]}
+          </option>
+        ))}
+      </select>
+      <label>
+        <input
+          type="checkbox"
+          checked={viewMode === "flat"}
+          onChange={(e) => onView(e.target.checked ? "flat" : "grouped")}
+        />{" "}
+        All merchants in one list
+      </label>
+    </fieldset>
+  </div>
+);
+
+const TYPE_LABELS = {
+  credit: "Credit",
+  debit: "Debit",
+  upi: "UPI",
+  netbanking: "Net Banking",
+  bank: "All cards",
+};
+
+/** Per-merchant matrix of what each pinned card/UPI/net-banking entry unlocks */
+const CompareMatrix = ({ columns, sites, cartValue, onRemove }) => {
+  if (!columns.length) return null;
+  const activeSites = sites.filter((site) =>
+    columns.some((c) => c.cells[site]?.length)
+  );
+
+  return (
+    <section className="compare">
+      <h2>Compare</h2>
+      <div className="compare-scroll">
+        <table className="compare-table">
+          <thead>
+            <tr>
+              <th>Merchant</th>
+              {columns.map(({ entry }) => (
+                <th key={`${entry.type}-${entry.baseNorm}`}>
+                  <div>{entry.display}</div>
+                  <small>{TYPE_LABELS[entry.type] || entry.type}</small>
+                  <button
+                    type="button"
+                    className="compare-remove"
+                    onClick={() => onRemove(entry)}
+                    aria-label={`Remove ${entry.display} from comparison`}
+                  >
+                    ×
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {activeSites.map((site) => (
+              <tr key={site}>
+                <th scope="row">{site}</th>
+                {columns.map(({ entry, cells }) => {
+                  const list = cells[site] || [];
+                  return (
+                    <td key={`${site}-${entry.type}-${entry.baseNorm}`}>
+                      {list.length ? (
+                        <ul className="compare-offers">
+                          {list.map((w, i) => (
+                            <li key={i}>
+                              {offerHeadline(w.offer)}
+                              {termBadges(w.terms).length > 0 && (
+                                <small>
+                                  {" "}
+                                  ({termBadges(w.terms)
+                                    .slice(0, 2)
+                                    .map((b) => b.label)
+                                    .join(", ")}
+                                  )
+                                </small>
+                              )}
+                            </li>
+                          ))}
+                        </ul>
+                      ) : (
+                        <span className="compare-none">–</span>
+                      )}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+            {!activeSites.length && (
+              <tr>
+                <td colSpan={columns.length + 1}>
+                  None of these unlock an offer right now.
+                </td>
+              </tr>
+            )}
+          </tbody>
+          <tfoot>
+            <tr>
+              <th scope="row">
+                Best saving
+                {cartValue > 0 ? ` on ${formatINR(cartValue)}` : ""}
+              </th>
+              {columns.map(({ entry, best }) => (
+                <td key={`best-${entry.type}-${entry.baseNorm}`}>
+                  {cartValue > 0 ? (
+                    best ? (
+                      <>
+                        <strong>
+                          {best.upTo ? "Up to " : ""}
+                          {formatINR(best.saving)}
+                        </strong>
+                        <div>
+                          <small>
+                            {best.site}: {best.label}
+                          </small>
+                        </div>
+                      </>
+                    ) : (
+                      "–"
+                    )
+                  ) : (
+                    <small>Enter a cart value</small>
+                  )}
+                </td>
+              ))}
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+    </section>
+  );
+};
+
+/** Collapsible per-site CSV load status */
+const STATUS_LABELS = {
+  loading: "Loading…",
+  loaded: "Loaded",
+  missing: "Missing",
+  error: "Failed",
+};
+
+const LoadStatusPanel = ({ status }) => {
+  const sites = Object.keys(status || {});
+  if (!sites.length) return null;
+  const loaded = sites.filter((s) => status[s].state === "loaded").length;
+  const problems = sites.filter((s) =>
+    ["missing", "error"].includes(status[s].state)
+  ).length;
+
+  return (
+    <details className="load-status">
+      <summary>
+        Offer data status: {loaded}/{sites.length} sites loaded
+        {problems > 0 ? ` (${problems} unavailable)` : ""}
+      </summary>
+      <table>
+        <thead>
+          <tr>
+            <th>Site</th>
+            <th>File</th>
+            <th>Status</th>
+            <th>Rows</th>
+            <th>Offers</th>
+            <th>Parse errors</th>
+          </tr>
+        </thead>
+        <tbody>
+          {sites.map((site) => {
+            const st = status[site];
+            return (
+              <tr key={site} className={`is-${st.state}`}>
+                <td>{site}</td>
+                <td>{st.file}</td>
+                <td title={st.error || ""}>
+                  {STATUS_LABELS[st.state] || st.state}
+                  {st.attempts > 1 ? ` (${st.attempts} attempts)` : ""}
+                </td>
+                <td>{st.state === "loaded" ? st.rowCount : "–"}</td>
+                <td>{st.state === "loaded" ? st.offerCount : "–"}</td>
+                <td>{st.state === "loaded" ? st.parseErrors : "–"}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </details>
+  );
+};
+
 /** -------------------- COMPONENT (CLOTHES) -------------------- */
 const ClothesOffers = () => {
   const [creditEntries, setCreditEntries] = useState([]);
   const [debitEntries, setDebitEntries] = useState([]);
   const [upiEntries, setUpiEntries] = useState([]);
   const [netBankingEntries, setNetBankingEntries] = useState([]);
+  const [bankEntries, setBankEntries] = useState([]);
+  const [synonymGroups, setSynonymGroups] = useState([]);
+  /** Per-type prebuilt indexes: { canon, credit: index, … } (see offers.js) */
+  const [searchIndex, setSearchIndex] = useState(() => buildSearch({}, []));
 
   const [marqueeCC, setMarqueeCC] = useState([]);
   const [marqueeDC, setMarqueeDC] = useState([]);
@@ -264,16 +641,37 @@ const ClothesOffers = () => {
 
   const [filteredCards, setFilteredCards] = useState([]);
   const [query, setQuery] = useState("");
+  const [cartValue, setCartValue] = useState("");
+  const [showExpired, setShowExpired] = useState(false);
+  const [compareMode, setCompareMode] = useState(false);
+  const [compareList, setCompareList] = useState([]); // [{type, display, baseNorm}]
+  const [wallet, setWallet] = useState(readWallet); // [{type, display, baseNorm}]
+  const [seenBefore] = useState(readSeen); // previous visit's snapshots, kept for the session
+  const [whatsNewMine, setWhatsNewMine] = useState(false);
+  const [walletMsg, setWalletMsg] = useState("");
+  const [online, setOnline] = useState(() => navigator.onLine !== false);
+  const [staleSince, setStaleSince] = useState(null); // oldest cached data served, see offline.js
   const [selected, setSelected] = useState(null); // {type, display, baseNorm}
+  const [activeIdx, setActiveIdx] = useState(-1); // keyboard-highlighted suggestion
   const [noMatches, setNoMatches] = useState(false);
   const [isMobile, setIsMobile] = useState(false);
 
-  const [myntraOffers, setMyntraOffers] = useState([]);
-  const [ajioOffers, setAjioOffers] = useState([]);
-  const [amazonOffers, setAmazonOffers] = useState([]);
-  const [flipkartOffers, setFlipkartOffers] = useState([]);
-  const [tataCliqOffers, setTataCliqOffers] = useState([]);
-  const [nykaaFashionOffers, setNykaaFashionOffers] = useState([]);
+  const [merchants, setMerchants] = useState(null); // registry entries, null until loaded
+  const [offersBySite, setOffersBySite] = useState({}); // { [merchant.key]: rows }
+  const [catalogBySite, setCatalogBySite] = useState({}); // buildCatalog() per site
+
+  /** Per-site load status: { [site]: { file, state, rowCount, parseErrors, attempts, error } } */
+  const [loadStatus, setLoadStatus] = useState({});
+  const [cardsLoaded, setCardsLoaded] = useState(false);
+
+  /** Result filters, mirrored into the URL */
+  const [siteFilter, setSiteFilter] = useState([]); // [] = all merchants
+  const [typeFilter, setTypeFilter] = useState([]); // [] = all offer types
+  const [viewMode, setViewMode] = useState("grouped"); // "grouped" | "flat"
+  const [variantPref, setVariantPref] = useState("");
+  const [sortBy, setSortBy] = useState(DEFAULT_SORT);
+  const urlRestoredRef = useRef(false);
+  const searchTimerRef = useRef(null);
 
   /** Responsive */
   useEffect(() => {
@@ -283,195 +681,313 @@ const ClothesOffers = () => {
     return () => window.removeEventListener("resize", onResize);
   }, []);
 
-  /** Load allCards.csv for dropdown list */
+  /**
+   * Connectivity and cached-data notices. Subscribed before the loaders below
+   * run, so the service worker's first message isn't missed.
+   */
   useEffect(() => {
-    (async () => {
-      try {
-        const res = await axios.get(`/allCards.csv`);
-        const parsed = Papa.parse(res.data, { header: true });
-        const rows = parsed.data || [];
-
-        const creditMap = new Map();
-        const debitMap = new Map();
-
-        for (const row of rows) {
-          const ccList = splitList(firstField(row, LIST_FIELDS.credit));
-          for (const raw of ccList) {
-            const base = brandCanonicalize(getBase(raw));
-            const baseNorm = toNorm(base);
-            if (baseNorm) creditMap.set(baseNorm, creditMap.get(baseNorm) || base);
-          }
-          const dcList = splitList(firstField(row, LIST_FIELDS.debit));
-          for (const raw of dcList) {
-            const base = brandCanonicalize(getBase(raw));
-            const baseNorm = toNorm(base);
-            if (baseNorm) debitMap.set(baseNorm, debitMap.get(baseNorm) || base);
-          }
-        }
-
-        const credit = Array.from(creditMap.values())
-          .sort((a, b) => a.localeCompare(b))
-          .map((d) => makeEntry(d, "credit"));
-        const debit = Array.from(debitMap.values())
-          .sort((a, b) => a.localeCompare(b))
-          .map((d) => makeEntry(d, "debit"));
+    const update = () => setOnline(navigator.onLine !== false);
+    window.addEventListener("online", update);
+    window.addEventListener("offline", update);
+    const unsubscribe = onStaleData(({ cachedAt }) => {
+      const at = new Date(cachedAt || Date.now());
+      setStaleSince((prev) => (prev && prev <= at ? prev : at));
+    });
+    return () => {
+      window.removeEventListener("online", update);
+      window.removeEventListener("offline", update);
+      unsubscribe();
+    };
+  }, []);
 
+  /** Card catalog for the dropdown: the build's cards.json, else allCards.csv */
+  useEffect(() => {
+    loadCompiled(CARD_INDEX_FILE)
+      .then((index) => (index ? cardIndexEntries(index) : loadCatalog()))
+      .then(({ credit, debit }) => {
         setCreditEntries(credit);
         setDebitEntries(debit);
-      } catch (e) {
+      })
+      .catch((e) => {
         console.debug("[ClothesOffers] allCards.csv load error:", e);
         setNoMatches(true);
         setSelected(null);
-      }
-    })();
+      })
+      .finally(() => setCardsLoaded(true));
   }, []);
 
-  /** Load CLOTHES offer CSVs */
+  /** Merchant registry (public/merchants.json, else built-in defaults) */
   useEffect(() => {
-    (async () => {
-      try {
-        const specs = [
-          { name: "Myntra.csv", setter: setMyntraOffers },
-          { name: "Ajio.csv", setter: setAjioOffers },
-          { name: "amazon.csv", setter: setAmazonOffers },
-          { name: "flipkart.csv", setter: setFlipkartOffers },
-          { name: "tata_cliq.csv", setter: setTataCliqOffers },
-          { name: "nykaa_fashion.csv", setter: setNykaaFashionOffers },
-        ];
-
-        await Promise.all(
-          specs.map(async (f) => {
-            const res = await axios.get(`/${encodeURIComponent(f.name)}`);
-            const parsed = Papa.parse(res.data, {
-              header: true,
-              skipEmptyLines: true,
-            });
-            const rows = parsed.data || [];
-            f.setter(rows);
-          })
-        );
-      } catch (e) {
-        console.debug("[ClothesOffers] Offer CSV load error:", e);
-      }
-    })();
+    let cancelled = false;
+    loadMerchants().then((list) => {
+      if (!cancelled) setMerchants(list);
+    });
+    return () => {
+      cancelled = true;
+    };
   }, []);
 
-  /** Build marquee CC/DC from clothes offers */
+  /**
+   * Load CLOTHES offers – from the build's offers.json when there is one, else
+   * each merchant's CSV independently, so one missing file doesn't sink the rest
+   */
   useEffect(() => {
-    const ccMap = new Map();
-    const dcMap = new Map();
-    const upiMap = new Map();
-    const netBankingMap = new Map();
-
-    const harvestRows = (rows) => {
-      for (const o of rows || []) {
-        const cc = splitList(firstField(o, LIST_FIELDS.credit));
-        const dc = splitList(firstField(o, LIST_FIELDS.debit));
-        const upi = splitList(firstField(o, LIST_FIELDS.upi));
-        const netBanking = splitList(firstField(o, LIST_FIELDS.netBanking));
-
-        for (const raw of cc) {
-          if (toNorm(raw) === "all cc") continue;
-          const base = brandCanonicalize(getBase(raw));
-          const baseNorm = toNorm(base);
-          if (baseNorm) ccMap.set(baseNorm, ccMap.get(baseNorm) || base);
-        }
-        for (const raw of dc) {
-          if (toNorm(raw) === "all dc") continue;
-          const base = brandCanonicalize(getBase(raw));
-          const baseNorm = toNorm(base);
-          if (baseNorm) dcMap.set(baseNorm, dcMap.get(baseNorm) || base);
-        }
-        for (const raw of upi) {
-          const base = brandCanonicalize(getBase(raw));
-          const baseNorm = toNorm(base);
-          if (baseNorm) upiMap.set(baseNorm, upiMap.get(baseNorm) || base);
-        }
-        for (const raw of netBanking) {
-          const base = brandCanonicalize(getBase(raw));
-          const baseNorm = toNorm(base);
-          if (baseNorm)
-            netBankingMap.set(baseNorm, netBankingMap.get(baseNorm) || base);
-        }
+    if (!merchants) return;
+    let cancelled = false;
+
+    const updateStatus = (site, patch) => {
+      if (cancelled) return;
+      setLoadStatus((prev) => ({ ...prev, [site]: { ...prev[site], ...patch } }));
+    };
+
+    const loadSite = async (m, compiled) => {
+      const site = compiled?.sites?.[m.key];
+      const result = site
+        ? { state: "loaded", rows: [], parseErrors: site.parseErrors, attempts: 1, error: null }
+        : await loadOfferCsv(m.file);
+      if (cancelled) return;
+      let offers;
+      let catalog;
+      if (site) {
+        ({ offers, catalog } = siteOffers(site));
+      } else {
+        offers = groupOfferRows(result.rows);
+        catalog = buildCatalog(offers);
+      }
+      if (result.state === "loaded") {
+        setOffersBySite((prev) => ({ ...prev, [m.key]: offers }));
+        setCatalogBySite((prev) => ({ ...prev, [m.key]: catalog }));
+      } else {
+        console.debug(`[ClothesOffers] ${m.file} ${result.state}:`, result.error);
       }
+      updateStatus(m.name, {
+        file: site ? `${m.file} (${OFFERS_DATA_FILE})` : m.file,
+        state: result.state,
+        rowCount: site ? site.rowCount : result.rows.length,
+        offerCount: offers.length,
+        parseErrors: result.parseErrors,
+        attempts: result.attempts,
+        error: result.error ? String(result.error.message || result.error) : "",
+      });
     };
 
-    harvestRows(myntraOffers);
-    harvestRows(ajioOffers);
-    harvestRows(amazonOffers);
-    harvestRows(flipkartOffers);
-    harvestRows(tataCliqOffers);
-    harvestRows(nykaaFashionOffers);
+    for (const m of merchants) {
+      updateStatus(m.name, { file: m.file, state: "loading" });
+    }
+    loadCompiled(OFFERS_DATA_FILE).then((compiled) => {
+      if (!cancelled) merchants.forEach((m) => loadSite(m, compiled));
+    });
 
-    setMarqueeCC(
-      Array.from(ccMap.values()).sort((a, b) => a.localeCompare(b))
-    );
-    setMarqueeDC(
-      Array.from(dcMap.values()).sort((a, b) => a.localeCompare(b))
+    return () => {
+      cancelled = true;
+    };
+  }, [merchants]);
+
+  /** Build marquee CC/DC from clothes offers */
+  useEffect(() => {
+    const names = mergeCatalogs(
+      (merchants || []).map((m) => catalogBySite[m.key])
     );
-    const upi = Array.from(upiMap.values()).sort((a, b) => a.localeCompare(b));
-    const netBanking = Array.from(netBankingMap.values()).sort((a, b) =>
-      a.localeCompare(b)
+
+    setMarqueeCC(names.credit);
+    setMarqueeDC(names.debit);
+    setMarqueeUPI(names.upi);
+    setMarqueeNetBanking(names.netbanking);
+
+    setUpiEntries(names.upi.map((d) => makeEntry(d, "upi")));
+    setNetBankingEntries(
+      names.netbanking.map((d) => makeEntry(d, "netbanking"))
     );
+  }, [merchants, catalogBySite]);
+
+  /** Banks: every issuer named by the catalog or any merchant CSV */
+  useEffect(() => {
+    const names = [
+      ...creditEntries.map((e) => e.display),
+      ...debitEntries.map((e) => e.display),
+      ...marqueeCC,
+      ...marqueeDC,
+      ...marqueeUPI,
+      ...marqueeNetBanking,
+    ];
+    setBankEntries(issuersIn(names).map((name) => makeEntry(name, "bank")));
+  }, [
+    creditEntries,
+    debitEntries,
+    marqueeCC,
+    marqueeDC,
+    marqueeUPI,
+    marqueeNetBanking,
+  ]);
 
-    setMarqueeUPI(upi);
-    setMarqueeNetBanking(netBanking);
+  /** Search synonyms (public/synonyms.json, else built-in defaults) */
+  useEffect(() => {
+    let cancelled = false;
+    loadSynonyms().then((groups) => {
+      if (!cancelled) setSynonymGroups(groups);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
 
-    setUpiEntries(upi.map((d) => makeEntry(d, "upi")));
-    setNetBankingEntries(netBanking.map((d) => makeEntry(d, "netbanking")));
+  /** Index entries once per change: names + aliases rewritten through the synonyms */
+  useEffect(() => {
+    setSearchIndex(
+      buildSearch(
+        {
+          credit: creditEntries,
+          debit: debitEntries,
+          upi: upiEntries,
+          netbanking: netBankingEntries,
+          bank: bankEntries,
+        },
+        synonymGroups
+      )
+    );
   }, [
-    myntraOffers,
-    ajioOffers,
-    amazonOffers,
-    flipkartOffers,
-    tataCliqOffers,
-    nykaaFashionOffers,
+    synonymGroups,
+    creditEntries,
+    debitEntries,
+    upiEntries,
+    netBankingEntries,
+    bankEntries,
   ]);
 
-  /** Search box */
-  const onChangeQuery = (e) => {
-    const val = e.target.value;
-    setQuery(val);
+  /** Resolve a URL card against the loaded entries (falls back to the raw name) */
+  const entriesFor = (type) =>
+    ({
+      credit: creditEntries,
+      debit: debitEntries,
+      upi: upiEntries,
+      netbanking: netBankingEntries,
+      bank: bankEntries,
+    })[type];
+
+  /** Drop the dropdown, including suggestions still waiting on the debounce */
+  const closeSuggestions = () => {
+    clearTimeout(searchTimerRef.current);
+    setFilteredCards([]);
+    setActiveIdx(-1);
+  };
 
-    const trimmed = val.trim();
-    if (!trimmed) {
-      setFilteredCards([]);
-      setSelected(null);
-      setNoMatches(false);
-      return;
-    }
+  useEffect(() => () => clearTimeout(searchTimerRef.current), []);
+
+  /** Catalog entry for a name or alias, else a bare entry for it */
+  const resolveEntry = (display, type) => {
+    const entry = makeEntry(display, type);
+    return findCard(entriesFor(type), entry.display) || entry;
+  };
+
+  const resolveUrlCard = (card) =>
+    card ? resolveEntry(card.display, card.type) : null;
+
+  const applyUrlState = (st) => {
+    const entry = resolveUrlCard(st.card);
+    setSelected(entry);
+    setQuery(entry ? entry.display : "");
+    closeSuggestions();
+    setNoMatches(false);
+    setSiteFilter(st.sites);
+    setTypeFilter(st.types);
+    setVariantPref(st.variant);
+    setSortBy(st.sort);
+    setViewMode(st.view);
+    setCartValue(st.cart);
+  };
 
-    const qLower = trimmed.toLowerCase();
-    const queryHasSelectLike = hasSelectLikeWord(trimmed);
-
-    const scored = (arr) =>
-      arr
-        .map((it) => {
-          const s = scoreCandidate(trimmed, it.display);
-          const labelNorm = toNorm(it.display);
-          const inc = labelNorm.includes(qLower);
-
-          const labelWords = labelNorm.split(" ").filter(Boolean);
-          const labelHasSelectWord = labelWords.some(
-            (w) => w === "select" || lev(w, "select") <= 1
-          );
-
-          const passesFuzzySelect =
-            queryHasSelectLike && labelHasSelectWord;
-
-          return { it, s, inc, passesFuzzySelect };
-        })
-        .filter(({ s, inc, passesFuzzySelect }) => inc || s > 0.3 || passesFuzzySelect)
-        .sort((a, b) => b.s - a.s || a.it.display.localeCompare(b.it.display))
-        .slice(0, MAX_SUGGESTIONS)
-        .map(({ it }) => it);
-
-    let cc = scored(creditEntries);
-    let dc = scored(debitEntries);
-    let upi = scored(upiEntries);
-    let netBanking = scored(netBankingEntries);
-
-    if (!cc.length && !dc.length && !upi.length && !netBanking.length) {
+  const offersSettled =
+    Object.keys(loadStatus).length > 0 &&
+    Object.values(loadStatus).every((st) => st.state !== "loading");
+
+  // the latest applyUrlState, for the once-only subscriptions below
+  const applyUrlStateRef = useRef(applyUrlState);
+  applyUrlStateRef.current = applyUrlState;
+
+  /**
+   * Restore from the URL once the CSVs are in, then follow back/forward. A
+   * card picked, or a query typed, while they were still loading wins over
+   * the URL's.
+   */
+  useEffect(() => {
+    if (urlRestoredRef.current || !cardsLoaded || !offersSettled) return;
+    urlRestoredRef.current = true;
+    if (selected || query.trim()) return;
+    applyUrlStateRef.current(readUrlState(window.location.search));
+  }, [cardsLoaded, offersSettled, selected, query]);
+
+  useEffect(() => {
+    const onPop = () =>
+      applyUrlStateRef.current(readUrlState(window.location.search));
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, []);
+
+  /** Write state back: a new card is a history entry, filter tweaks just replace */
+  useEffect(() => {
+    if (!urlRestoredRef.current) return;
+    const search = toUrlSearch({
+      card: selected,
+      sites: siteFilter,
+      types: typeFilter,
+      variant: variantPref,
+      sort: sortBy,
+      view: viewMode,
+      cart: String(cartValue).replace(/[^\d.]/g, ""),
+    });
+    if (search === window.location.search) return;
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    const prev = readUrlState(window.location.search).card;
+    const cardChanged =
+      (prev?.display || "") !== (selected?.display || "") ||
+      (prev?.type || "") !== (selected?.type || "");
+    if (cardChanged) window.history.pushState(null, "", url);
+    else window.history.replaceState(null, "", url);
+  }, [
+    selected,
+    siteFilter,
+    typeFilter,
+    variantPref,
+    sortBy,
+    viewMode,
+    cartValue,
+  ]);
+
+  /** Snapshot what each loaded merchant offers now, for the next visit's diff */
+  useEffect(() => {
+    const sites = Object.entries(offersBySite);
+    if (!sites.length) return;
+    const stored = readSeen();
+    for (const [key, offers] of sites) stored[key] = snapshotOffers(offers);
+    writeSeen(stored);
+  }, [offersBySite]);
+
+  /** Persist wallet */
+  useEffect(() => {
+    writeWallet(wallet);
+  }, [wallet]);
+
+  // the index when a debounced search fires, not when its key was pressed
+  const searchIndexRef = useRef(searchIndex);
+  searchIndexRef.current = searchIndex;
+
+  const runSearch = (trimmed) => {
+    setActiveIdx(-1);
+    const {
+      bank: banks,
+      credit: cc,
+      debit: dc,
+      upi,
+      netbanking: netBanking,
+    } = searchEntries(searchIndexRef.current, trimmed, MAX_SUGGESTIONS);
+
+    if (
+      !banks.length &&
+      !cc.length &&
+      !dc.length &&
+      !upi.length &&
+      !netBanking.length
+    ) {
       setNoMatches(true);
       setSelected(null);
       setFilteredCards([]);
@@ -480,28 +996,9 @@ const ClothesOffers = () => {
 
     setNoMatches(false);
 
-    if (queryHasSelectLike) {
-      const bumpSelectCards = (arr) => {
-        const selectOnTop = [];
-        const rest = [];
-        arr.forEach((item) => {
-          const norm = toNorm(item.display);
-          const words = norm.split(" ").filter(Boolean);
-          const hasSelectWord = words.some(
-            (w) => w === "select" || lev(w, "select") <= 1
-          );
-          if (hasSelectWord) selectOnTop.push(item);
-          else rest.push(item);
-        });
-        return [...selectOnTop, ...rest];
-      };
-      cc = bumpSelectCards(cc);
-      dc = bumpSelectCards(dc);
-      upi = bumpSelectCards(upi);
-      netBanking = bumpSelectCards(netBanking);
-    }
-
     setFilteredCards([
+      ...(banks.length ? [{ type: "heading", label: "Banks" }] : []),
+      ...banks,
       ...(cc.length ? [{ type: "heading", label: "Credit Cards" }] : []),
       ...cc,
       ...(dc.length ? [{ type: "heading", label: "Debit Cards" }] : []),
@@ -513,218 +1010,406 @@ const ClothesOffers = () => {
     ]);
   };
 
+  /**
+   * The index grows as the catalog, synonyms and merchant CSVs arrive: redo
+   * the suggestions (or "no matches") of a query typed before they did
+   */
+  const rerunSearchRef = useRef(null);
+  rerunSearchRef.current = () => {
+    const trimmed = query.trim();
+    if (trimmed && (filteredCards.length || noMatches)) runSearch(trimmed);
+  };
+  useEffect(() => {
+    rerunSearchRef.current();
+  }, [searchIndex]);
+
+  /** Search box: suggestions follow the last keystroke after SEARCH_DEBOUNCE_MS */
+  const onChangeQuery = (e) => {
+    const val = e.target.value;
+    setQuery(val);
+
+    const trimmed = val.trim();
+    if (!trimmed) {
+      closeSuggestions();
+      setSelected(null);
+      setNoMatches(false);
+      return;
+    }
+
+    clearTimeout(searchTimerRef.current);
+    searchTimerRef.current = setTimeout(
+      () => runSearch(trimmed),
+      SEARCH_DEBOUNCE_MS
+    );
+  };
+
+  /** Pin an entry for side-by-side comparison */
+  const pinForCompare = (entry) => {
+    setCompareList((prev) =>
+      prev.some((e) => sameEntry(e, entry)) || prev.length >= MAX_COMPARE
+        ? prev
+        : [...prev, entry]
+    );
+    setQuery("");
+    closeSuggestions();
+    setNoMatches(false);
+  };
+
+  const unpinCompare = (entry) =>
+    setCompareList((prev) => prev.filter((e) => !sameEntry(e, entry)));
+
+  const addToWallet = (entry) =>
+    setWallet((prev) =>
+      prev.some((e) => sameEntry(e, entry)) ? prev : [...prev, entry]
+    );
+
+  const removeFromWallet = (entry) =>
+    setWallet((prev) => prev.filter((e) => !sameEntry(e, entry)));
+
+  const exportWallet = () => {
+    const entries = wallet.map(({ type, display }) => ({ type, display }));
+    const json = JSON.stringify({ version: WALLET_VERSION, entries }, null, 2);
+    downloadBlob("my-wallet.json", json, "application/json");
+  };
+
+  const importWallet = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const imported = sanitizeWallet(JSON.parse(await file.text()));
+      if (!imported.length) {
+        setWalletMsg("No valid cards found in that file.");
+        return;
+      }
+      setWallet((prev) => [
+        ...prev,
+        ...imported.filter((it) => !prev.some((e) => sameEntry(e, it))),
+      ]);
+      setWalletMsg(`Imported ${imported.length} card(s).`);
+    } catch (err) {
+      console.debug("[ClothesOffers] wallet import error:", err);
+      setWalletMsg("Couldn't read that file – expected a wallet JSON export.");
+    }
+  };
+
   const onPick = (entry) => {
+    if (compareMode) {
+      pinForCompare(entry);
+      return;
+    }
     setSelected(entry);
     setQuery(entry.display);
-    setFilteredCards([]);
+    closeSuggestions();
     setNoMatches(false);
   };
 
   const handleChipClick = (name, type) => {
-    const display = brandCanonicalize(getBase(name));
-    const baseNorm = toNorm(display);
-    setQuery(display);
-    setSelected({ type, display, baseNorm });
-    setFilteredCards([]);
+    const entry = resolveEntry(name, type);
+    if (compareMode) {
+      pinForCompare(entry);
+      return;
+    }
+    setQuery(entry.display);
+    setSelected(entry);
+    closeSuggestions();
     setNoMatches(false);
   };
 
-  /** Build matches per site (credit/debit) */
-  function matchesFor(offers, type, site) {
-    if (!selected) return [];
-    const out = [];
-
-    for (const o of offers || []) {
-      let list = [];
-
-      if (type === "debit") {
-        const dcExplicit =
-          firstField(o, LIST_FIELDS.debit) ||
-          firstFieldByContains(o, "eligible debit") ||
-          firstFieldByContains(o, "debit card");
-        list = splitList(dcExplicit);
-      } else if (type === "upi") {
-        const upiExplicit =
-          firstField(o, LIST_FIELDS.upi) || firstFieldByContains(o, "upi");
-        list = splitList(upiExplicit);
-      } else if (type === "netbanking") {
-        const nbExplicit =
-          firstField(o, LIST_FIELDS.netBanking) ||
-          firstFieldByContains(o, "net banking");
-        list = splitList(nbExplicit);
-      } else {
-        const ccExplicit =
-          firstField(o, LIST_FIELDS.credit) ||
-          firstFieldByContains(o, "eligible credit") ||
-          firstFieldByContains(o, "credit card") ||
-          firstFieldByContains(o, "eligible cards");
-        list = splitList(ccExplicit);
-      }
-
-      // handle ALL CC / ALL DC
-      if (list.some((v) => toNorm(v) === "all cc") && selected.type === "credit") {
-        out.push({ offer: o, site, variantText: "" });
-        continue;
-      }
-      if (list.some((v) => toNorm(v) === "all dc") && selected.type === "debit") {
-        out.push({ offer: o, site, variantText: "" });
-        continue;
-      }
-
-      let matched = false;
-      let matchedVariant = "";
-
-      for (const raw of list) {
-        const base = brandCanonicalize(getBase(raw));
-        if (toNorm(base) === selected.baseNorm) {
-          matched = true;
-          const v = getVariant(raw);
-          if (v) matchedVariant = v;
-          break;
-        }
+  /** Combobox keys: arrows move through options (skipping headings), Enter picks, Escape closes */
+  const onQueryKeyDown = (e) => {
+    const open = !!query.trim() && filteredCards.length > 0;
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      if (!open) {
+        if (!query.trim()) return;
+        clearTimeout(searchTimerRef.current);
+        runSearch(query.trim());
+        return;
       }
-
-      if (matched) {
-        out.push({ offer: o, site, variantText: matchedVariant });
+      const options = filteredCards
+        .map((item, idx) => (item.type === "heading" ? -1 : idx))
+        .filter((idx) => idx >= 0);
+      const at = options.indexOf(activeIdx);
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      const next =
+        at === -1
+          ? step > 0
+            ? 0
+            : options.length - 1
+          : (at + step + options.length) % options.length;
+      setActiveIdx(options[next]);
+    } else if (e.key === "Enter") {
+      if (open && activeIdx >= 0) {
+        e.preventDefault();
+        onPick(filteredCards[activeIdx]);
       }
+    } else if (e.key === "Escape" && open) {
+      e.preventDefault();
+      closeSuggestions();
     }
+  };
 
-    return out;
-  }
+  /** Keep the keyboard-highlighted option in view */
+  useEffect(() => {
+    if (activeIdx < 0) return;
+    document
+      .getElementById(`card-option-${activeIdx}`)
+      ?.scrollIntoView({ block: "nearest" });
+  }, [activeIdx]);
+
+  /** Every registered merchant with its rows, in registry order */
+  const siteRows = (merchants || []).map((m) => [offersBySite[m.key] || [], m]);
+
+  /** Hide expired offers unless asked */
+  const today = new Date();
+  let hiddenExpired = 0;
+  const byValidity = (arr) => {
+    const live = arr.filter((w) => !isExpired(w.validity, today));
+    hiddenExpired += arr.length - live.length;
+    return showExpired ? arr : live;
+  };
 
-  const wMyntra = matchesFor(
-    myntraOffers,
-    selected?.type || "credit",
-    "Myntra"
-  );
-  const wAjio = matchesFor(
-    ajioOffers,
-    selected?.type || "credit",
-    "Ajio"
-  );
-  const wAmazon = matchesFor(
-    amazonOffers,
-    selected?.type || "credit",
-    "Amazon"
-  );
-  const wFlipkart = matchesFor(
-    flipkartOffers,
-    selected?.type || "credit",
-    "Flipkart"
-  );
-  const wTataCliq = matchesFor(
-    tataCliqOffers,
-    selected?.type || "credit",
-    "Tata CLiQ"
-  );
-  const wNykaa = matchesFor(
-    nykaaFashionOffers,
-    selected?.type || "credit",
-    "Nykaa Fashion"
-  );
+  /** Offer-type filter from the toolbar (empty = every type) */
+  const typeOn = (w) =>
+    !typeFilter.length || typeFilter.some((t) => offerHasType(w, t));
 
   const seen = new Set();
-  const dMyntra = dedupWrappers(wMyntra, seen);
-  const dAjio = dedupWrappers(wAjio, seen);
-  const dAmazon = dedupWrappers(wAmazon, seen);
-  const dFlipkart = dedupWrappers(wFlipkart, seen);
-  const dTataCliq = dedupWrappers(wTataCliq, seen);
-  const dNykaa = dedupWrappers(wNykaa, seen);
-
-  const hasAny = Boolean(
-    dMyntra.length ||
-      dAjio.length ||
-      dAmazon.length ||
-      dFlipkart.length ||
-      dTataCliq.length ||
-      dNykaa.length
+  const siteGroups = siteRows.map(([offers, merchant]) => ({
+    site: merchant.name,
+    list: byValidity(
+      dedupWrappers(
+        findOffers(selected, offers, {
+          merchant,
+          declared: variantPref,
+        }).filter(typeOn),
+        seen
+      )
+    ),
+  }));
+
+  /** Card-agnostic offers, deduped against (and shown after) the card-specific ones */
+  const everyoneAll = byValidity(
+    dedupWrappers(
+      siteRows
+        .flatMap(([offers, merchant]) =>
+          (offers || [])
+            .filter(isNonPaymentOffer)
+            .map((o) => makeWrapper(o, merchant))
+        )
+        .filter(typeOn),
+      seen
+    )
   );
 
-  /** Offer card UI – scrollable description, button only if link exists */
-  const OfferCard = ({ wrapper }) => {
-    const o = wrapper.offer;
-    const siteName = wrapper.site;
-    const siteKey = String(siteName || "").toLowerCase();
-
-    const showVariantNote =
-      VARIANT_NOTE_SITES.has(wrapper.site) &&
-      wrapper.variantText &&
-      wrapper.variantText.trim().length > 0;
-
-    let image =
-      firstField(o, LIST_FIELDS.image) || firstFieldByContains(o, "image");
-    let title =
-      firstField(o, LIST_FIELDS.title) || o.Website || "Offer";
-    let desc = firstField(o, LIST_FIELDS.desc) || "";
-    let link = firstField(o, LIST_FIELDS.link);
-
-    const { src: imgSrc, usingFallback } = resolveImage(siteKey, image);
-
-    const descBoxStyle = {
-      maxHeight: 140,
-      overflowY: "auto",
-      paddingRight: 8,
-      border: "1px solid #eee",
-      borderRadius: 6,
-      padding: "10px 12px",
-      background: "#fafafa",
-      lineHeight: 1.5,
-      whiteSpace: "pre-wrap",
-    };
+  /** Per-site counts for the toolbar, before the merchant filter */
+  const siteCounts = Object.fromEntries(siteRows.map(([, m]) => [m.name, 0]));
+  for (const g of siteGroups) siteCounts[g.site] += g.list.length;
+  for (const w of everyoneAll) siteCounts[w.site] += 1;
 
-    return (
-      <div className="offer-card">
-        {imgSrc && (
-          <img
-            className={`offer-img ${usingFallback ? "is-fallback" : ""}`}
-            src={imgSrc}
-            alt="Offer"
-            onError={(e) => handleImgError(e, siteKey)}
-          />
-        )}
+  /** Merchant filter (empty = every merchant) */
+  const siteOn = (site) => !siteFilter.length || siteFilter.includes(site);
 
-        <div className="offer-info">
-          {title && (
-            <div
-              className="offer-title"
-              style={{ fontWeight: 700, marginBottom: 8, fontSize: 16 }}
-            >
-              {title}
-            </div>
-          )}
+  const cartNum = Number(String(cartValue).replace(/[^\d.]/g, ""));
 
-          {desc && (
-            <div className="offer-desc" style={descBoxStyle}>
-              {desc}
-            </div>
-          )}
-
-          {showVariantNote && (
-            <p
-              className="network-note"
-              style={{ color: "#b00020", marginTop: 8 }}
-            >
-              <strong>Note:</strong> This benefit is applicable only on{" "}
-              <em>{wrapper.variantText}</em> variant
-            </p>
-          )}
+  const sortByChoice = (arr) => {
+    if (sortBy === "ending") return sortByExpiry(arr);
+    if (sortBy === "saving") {
+      return sortBySaving(arr, cartNum > 0 ? cartNum : SORT_REFERENCE_CART);
+    }
+    if (sortBy === "merchant") {
+      return arr
+        .map((w, i) => ({ w, i }))
+        .sort((a, b) => a.w.site.localeCompare(b.w.site) || a.i - b.i)
+        .map(({ w }) => w);
+    }
+    return arr;
+  };
 
-          {/* 🔹 Only show button if link is present */}
-          {link && String(link).trim() && (
-            <button
-              className="btn"
-              onClick={() => window.open(link, "_blank")}
-            >
-              View Offer
-            </button>
-          )}
-        </div>
-      </div>
-    );
+  /** Toolbar sort, then anything the declared network/variant rules out */
+  const sortWrappers = (arr) => {
+    const sorted = sortByChoice(arr);
+    return [
+      ...sorted.filter((w) => w.eligibility !== "ineligible"),
+      ...sorted.filter((w) => w.eligibility === "ineligible"),
+    ];
   };
 
+  /** Suggestions for the network/variant box: networks + variants these offers name */
+  const variantOptions = Object.values(NETWORKS).map((n) => n.label);
+  for (const g of siteGroups) {
+    for (const w of g.list) {
+      for (const v of (w.variantText || "").split(" / ")) {
+        if (v && !variantOptions.includes(v)) variantOptions.push(v);
+      }
+    }
+  }
+
+  const resultGroups = siteGroups
+    .filter((g) => siteOn(g.site) && g.list.length)
+    .map((g) => ({ ...g, list: sortWrappers(g.list) }));
+  if (sortBy === "merchant") {
+    resultGroups.sort((a, b) => a.site.localeCompare(b.site));
+  }
+  const flatResults = sortWrappers(resultGroups.flatMap((g) => g.list));
+
+  /** Bank pick: the same offers regrouped under each of the issuer's cards */
+  const cardGroups = [];
+  if (selected?.type === "bank") {
+    const byCard = new Map();
+    for (const w of flatResults) {
+      for (const card of w.useWith || []) {
+        if (!byCard.has(card)) byCard.set(card, []);
+        byCard.get(card).push({ ...w, useWith: [card] });
+      }
+    }
+    for (const card of [...byCard.keys()].sort((a, b) => a.localeCompare(b))) {
+      cardGroups.push({ card, list: byCard.get(card) });
+    }
+  }
+  const everyoneOffers = sortWrappers(
+    everyoneAll.filter((w) => siteOn(w.site))
+  );
+
+  /** Saving for every matched offer at the entered cart value */
+  const cartScored =
+    selected && cartNum > 0
+      ? [...flatResults, ...everyoneOffers].map((w) => ({
+          site: w.site,
+          label: offerHeadline(w.offer),
+          terms: w.terms,
+          ...(w.eligibility === "ineligible"
+            ? {
+                eligible: false,
+                saving: null,
+                upTo: false,
+                reason: `not valid on ${variantPref}`,
+              }
+            : computeSaving(w.terms, cartNum)),
+        }))
+      : [];
+  const bestSavings = cartScored
+    .filter((r) => r.eligible && r.saving !== null)
+    .sort((a, b) => b.saving - a.saving || Number(a.upTo) - Number(b.upTo))
+    .slice(0, MAX_BEST_SAVINGS);
+  const ineligibleSavings = cartScored.filter((r) => !r.eligible);
+
+  /** Compare matrix: per pinned entry, per site → offers it unlocks + best saving */
+  const compareColumns = compareList.map((entry) => {
+    const colSeen = new Set();
+    const cells = {};
+    let best = null;
+    for (const [offers, merchant] of siteRows) {
+      const site = merchant.name;
+      const list = dedupWrappers(
+        findOffers(entry, offers, { merchant, declared: variantPref }),
+        colSeen
+      ).filter((w) => showExpired || !isExpired(w.validity, today));
+      cells[site] = list;
+      if (cartNum > 0) {
+        for (const w of list) {
+          if (w.eligibility === "ineligible") continue;
+          const r = computeSaving(w.terms, cartNum);
+          if (!r.eligible || r.saving === null) continue;
+          if (!best || r.saving > best.saving) {
+            best = { ...r, site, label: offerHeadline(w.offer) };
+          }
+        }
+      }
+    }
+    return { entry, cells, best };
+  });
+
+  /** Wallet: every offer any saved card unlocks, merged by offerKey + labelled with the cards to use */
+  const walletOffers = [];
+  if (wallet.length) {
+    const byKey = new Map();
+    for (const [offers, merchant] of siteRows) {
+      for (const entry of wallet) {
+        const found = findOffers(entry, offers, {
+          merchant,
+          declared: variantPref,
+        });
+        for (const w of found) {
+          if (!showExpired && isExpired(w.validity, today)) continue;
+          const k = offerKey(w.offer);
+          if (!byKey.has(k)) {
+            byKey.set(k, { ...w, useWith: [] });
+            walletOffers.push(byKey.get(k));
+          }
+          const item = byKey.get(k);
+          if (!item.useWith.includes(entry.display)) {
+            item.useWith.push(entry.display);
+          }
+        }
+      }
+    }
+  }
+
+  const unavailableSites = Object.keys(loadStatus).filter((site) =>
+    ["missing", "error"].includes(loadStatus[site].state)
+  );
+
+  const hasAny = resultGroups.length > 0;
+
+  /** New / gone offers per loaded merchant since the last visit's snapshot */
+  const siteDiffs = (merchants || [])
+    .filter((m) => offersBySite[m.key])
+    .map((m) => ({
+      merchant: m,
+      offers: offersBySite[m.key],
+      ...diffOffers(seenBefore[m.key], offersBySite[m.key]),
+    }));
+  const newKeys = new Set(siteDiffs.flatMap((d) => [...d.added]));
+  const lastVisit = siteDiffs
+    .map((d) => seenBefore[d.merchant.key]?.savedAt)
+    .filter(Boolean)
+    .sort()
+    .pop();
+  const whatsNewSites = siteDiffs.map((d) => {
+    let added = d.offers.filter((o) => d.added.has(offerKey(o)));
+    let removed = d.removed;
+    if (whatsNewMine && selected) {
+      const opts = { merchant: d.merchant, declared: variantPref };
+      const mine = new Set(
+        findOffers(selected, added, opts).map((w) => offerKey(w.offer))
+      );
+      added = added.filter((o) => mine.has(offerKey(o)));
+      // removed offers are only their card columns: match them by identity
+      const goneRows = removed.map((r) => r.offer);
+      const gone = new Set(
+        findOffers(selected, goneRows, opts).map((w) => w.offer)
+      );
+      removed = removed.filter((r) => gone.has(r.offer));
+    }
+    return { merchant: d.merchant, added, removed };
+  });
+
+  /** Dropdown sections: each heading labels the options that follow it */
+  const suggestionsOpen = !!query.trim() && filteredCards.length > 0;
+  const suggestionGroups = [];
+  filteredCards.forEach((item, idx) => {
+    if (item.type === "heading" || !suggestionGroups.length) {
+      suggestionGroups.push({
+        id: `card-group-${idx}`,
+        label: item.type === "heading" ? item.label : "",
+        options: [],
+      });
+    }
+    if (item.type !== "heading") {
+      suggestionGroups[suggestionGroups.length - 1].options.push({
+        item,
+        idx,
+      });
+    }
+  });
+  const suggestionCount = filteredCards.filter(
+    (item) => item.type !== "heading"
+  ).length;
+
   return (
     <div className="App" style={{ fontFamily: "'Libre Baskerville', serif" }}>
+      <OfflineBanner online={online} staleSince={staleSince} />
       {(marqueeCC.length > 0 ||
         marqueeDC.length > 0 ||
         marqueeUPI.length > 0 ||
@@ -936,148 +1621,343 @@ const ClothesOffers = () => {
         </div>
       )}
 
-      {/* Search / dropdown */}
-      <div
-        className="dropdown"
-        style={{ position: "relative", width: "600px", margin: "20px auto" }}
-      >
-        <input
-          type="text"
-          value={query}
-          onChange={onChangeQuery}
-          placeholder="Type Credit, Debit, UPI, or Net Banking to check clothes offers...."
-          className="dropdown-input"
-          style={{
-            width: "100%",
-            padding: "12px",
-            fontSize: "16px",
-            border: `1px solid ${noMatches ? "#d32f2f" : "#ccc"}`,
-            borderRadius: "6px",
-          }}
-        />
-        {query.trim() && !!filteredCards.length && (
-          <ul
-            className="dropdown-list"
+      {/* Search / dropdown + cart value */}
+      <div className="search-row">
+        <div
+          className="dropdown"
+          style={{ position: "relative", width: "600px", margin: "20px 0" }}
+        >
+          <input
+            type="text"
+            role="combobox"
+            aria-label="Search cards, UPI apps or banks"
+            aria-autocomplete="list"
+            aria-expanded={suggestionsOpen}
+            aria-controls="card-suggestions"
+            aria-activedescendant={
+              suggestionsOpen && activeIdx >= 0
+                ? `card-option-${activeIdx}`
+                : undefined
+            }
+            value={query}
+            onChange={onChangeQuery}
+            onKeyDown={onQueryKeyDown}
+            placeholder="Type Credit, Debit, UPI, or Net Banking to check clothes offers...."
+            className="dropdown-input"
             style={{
-              listStyle: "none",
-              padding: "10px",
-              margin: 0,
               width: "100%",
-              maxHeight: "260px",
-              overflowY: "auto",
-              border: "1px solid #ccc",
+              padding: "12px",
+              fontSize: "16px",
+              border: `1px solid ${noMatches ? "#d32f2f" : "#ccc"}`,
               borderRadius: "6px",
-              backgroundColor: "#fff",
-              position: "absolute",
-              zIndex: 1000,
             }}
-          >
-            {filteredCards.map((item, idx) =>
-              item.type === "heading" ? (
-                <li
-                  key={`h-${idx}`}
-                  style={{
-                    padding: "8px 10px",
-                    fontWeight: 700,
-                    background: "#fafafa",
-                  }}
-                >
-                  {item.label}
-                </li>
-              ) : (
+          />
+          <div className="sr-only" role="status" aria-live="polite">
+            {noMatches
+              ? "No matching cards"
+              : suggestionsOpen
+              ? `${suggestionCount} suggestion${
+                  suggestionCount === 1 ? "" : "s"
+                }, use up and down arrows to choose`
+              : ""}
+          </div>
+          {suggestionsOpen && (
+            <ul
+              id="card-suggestions"
+              role="listbox"
+              aria-label="Suggestions"
+              className="dropdown-list"
+              style={{
+                listStyle: "none",
+                padding: "10px",
+                margin: 0,
+                width: "100%",
+                maxHeight: "260px",
+                overflowY: "auto",
+                border: "1px solid #ccc",
+                borderRadius: "6px",
+                backgroundColor: "#fff",
+                position: "absolute",
+                zIndex: 1000,
+              }}
+            >
+              {suggestionGroups.map((group) => (
                 <li
-                  key={`i-${idx}-${item.display}`}
-                  onClick={() => onPick(item)}
-                  style={{
-                    padding: "10px",
-                    cursor: "pointer",
-                    borderBottom: "1px solid #f2f2f2",
-                  }}
-                  onMouseOver={(e) =>
-                    (e.currentTarget.style.background = "#f7f9ff")
-                  }
-                  onMouseOut={(e) =>
-                    (e.currentTarget.style.background = "transparent")
-                  }
+                  key={group.id}
+                  role="group"
+                  aria-labelledby={group.id}
+                  className="dropdown-group"
                 >
-                  {item.display}
+                  <div id={group.id} className="dropdown-heading">
+                    {group.label}
+                  </div>
+                  {group.options.map(({ item, idx }) => (
+                    <div
+                      key={`i-${idx}-${item.display}`}
+                      id={`card-option-${idx}`}
+                      role="option"
+                      aria-selected={idx === activeIdx}
+                      className={`dropdown-option${
+                        idx === activeIdx ? " is-active" : ""
+                      }`}
+                      onMouseDown={(e) => e.preventDefault()}
+                      onMouseMove={() => setActiveIdx(idx)}
+                      onClick={() => onPick(item)}
+                    >
+                      <span className="suggestion">
+                        {item.image && (
+                          <img
+                            className="suggestion-art"
+                            src={item.image}
+                            alt=""
+                            onError={(e) => handleImgError(e, "")}
+                          />
+                        )}
+                        <span>
+                          <Highlight text={item.display} query={query} />
+                          {(item.issuer || item.network) && (
+                            <small className="suggestion-meta">
+                              {[
+                                item.issuer,
+                                item.network,
+                                item.tier,
+                                annualFeeLabel(item.annualFee),
+                              ]
+                                .filter(Boolean)
+                                .join(" · ")}
+                            </small>
+                          )}
+                        </span>
+                      </span>
+                    </div>
+                  ))}
                 </li>
-              )
-            )}
-          </ul>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <label className="cart-input">
+          <span>Cart value (₹)</span>
+          <input
+            type="text"
+            inputMode="numeric"
+            value={cartValue}
+            onChange={(e) =>
+              setCartValue(e.target.value.replace(/[^\d.,]/g, ""))
+            }
+            placeholder="e.g. 4500"
+          />
+        </label>
+
+        {(selected?.type === "credit" || selected?.type === "debit") && (
+          <label className="cart-input variant-input">
+            <span>Card network / variant</span>
+            <input
+              type="text"
+              list="variant-options"
+              value={variantPref}
+              onChange={(e) => setVariantPref(e.target.value)}
+              placeholder="e.g. Visa Signature"
+            />
+            <datalist id="variant-options">
+              {variantOptions.map((v) => (
+                <option key={v} value={v} />
+              ))}
+            </datalist>
+          </label>
         )}
       </div>
 
+      {lastVisit && (
+        <WhatsNew
+          since={new Date(lastVisit)}
+          sites={whatsNewSites}
+          selected={selected}
+          onlyMine={whatsNewMine}
+          onToggleMine={setWhatsNewMine}
+        />
+      )}
+
+      {selected && !noMatches && unavailableSites.length > 0 && (
+        <p className="unavailable-note">
+          {unavailableSites.join(", ")} offers are unavailable right now.
+        </p>
+      )}
+
+      <div className="compare-controls">
+        <label>
+          <input
+            type="checkbox"
+            checked={compareMode}
+            onChange={(e) => setCompareMode(e.target.checked)}
+          />{" "}
+          Compare mode – pick up to {MAX_COMPARE} cards from the search or
+          the chips above
+        </label>
+        {compareList.length > 0 && (
+          <button
+            type="button"
+            className="compare-clear"
+            onClick={() => setCompareList([])}
+          >
+            Clear comparison
+          </button>
+        )}
+      </div>
+
+      {compareList.length > 0 && (
+        <CompareMatrix
+          columns={compareColumns}
+          sites={siteRows.map(([, m]) => m.name)}
+          cartValue={cartNum}
+          onRemove={unpinCompare}
+        />
+      )}
+
+      <details className="wallet" open={wallet.length > 0}>
+        <summary>My wallet ({wallet.length})</summary>
+        {selected && !wallet.some((e) => sameEntry(e, selected)) && (
+          <button
+            type="button"
+            className="btn wallet-add"
+            onClick={() => addToWallet(selected)}
+          >
+            + Add {selected.display} to my wallet
+          </button>
+        )}
+        {wallet.length > 0 ? (
+          <div className="wallet-chips">
+            {wallet.map((e) => (
+              <span key={`${e.type}-${e.baseNorm}`} className="wallet-chip">
+                {e.display} <small>({TYPE_LABELS[e.type] || e.type})</small>
+                <button
+                  type="button"
+                  onClick={() => removeFromWallet(e)}
+                  aria-label={`Remove ${e.display} from wallet`}
+                >
+                  ×
+                </button>
+              </span>
+            ))}
+          </div>
+        ) : (
+          <p className="wallet-empty">
+            Select a card in the search box, then add it here to see its offers
+            on every visit.
+          </p>
+        )}
+        <div className="wallet-actions">
+          <button
+            type="button"
+            onClick={exportWallet}
+            disabled={!wallet.length}
+          >
+            Export JSON
+          </button>
+          <label className="wallet-import">
+            Import JSON
+            <input
+              type="file"
+              accept="application/json,.json"
+              onChange={importWallet}
+            />
+          </label>
+        </div>
+        {walletMsg && <p className="wallet-msg">{walletMsg}</p>}
+      </details>
+
+      {(selected || everyoneAll.length > 0) && !noMatches && (
+        <ResultsToolbar
+          siteCounts={siteCounts}
+          siteFilter={siteFilter}
+          onSiteFilter={setSiteFilter}
+          typeFilter={typeFilter}
+          onTypeFilter={setTypeFilter}
+          sortBy={sortBy}
+          onSort={setSortBy}
+          viewMode={viewMode}
+          onView={setViewMode}
+        />
+      )}
+
+      {(hiddenExpired > 0 || showExpired) && !noMatches && (
+        <label className="expired-toggle">
+          <input
+            type="checkbox"
+            checked={showExpired}
+            onChange={(e) => setShowExpired(e.target.checked)}
+          />{" "}
+          Show expired offers
+          {!showExpired ? ` (${hiddenExpired} hidden)` : ""}
+        </label>
+      )}
+
+      {selected && !noMatches && cartNum > 0 && (
+        <BestSavingsStrip
+          cartValue={cartNum}
+          ranked={bestSavings}
+          ineligible={ineligibleSavings}
+        />
+      )}
+
       {/* Offers by section */}
       {selected && hasAny && !noMatches && (
         <div
           className="offers-section"
           style={{ maxWidth: 1200, margin: "0 auto", padding: 20 }}
         >
-          {!!dMyntra.length && (
-            <div className="offer-group">
-              <h2 style={{ textAlign: "center" }}>Offers on Myntra</h2>
-              <div className="offer-grid">
-                {dMyntra.map((w, i) => (
-                  <OfferCard key={`myn-${i}`} wrapper={w} />
-                ))}
-              </div>
-            </div>
-          )}
-
-          {!!dAjio.length && (
+          {viewMode === "flat" ? (
             <div className="offer-group">
-              <h2 style={{ textAlign: "center" }}>Offers on Ajio</h2>
+              <h2 style={{ textAlign: "center" }}>Offers on all merchants</h2>
               <div className="offer-grid">
-                {dAjio.map((w, i) => (
-                  <OfferCard key={`ajio-${i}`} wrapper={w} />
+                {flatResults.map((w, i) => (
+                  <OfferCard
+                    key={`flat-${i}`}
+                    wrapper={w}
+                    showSite
+                    selected={selected}
+                    variantPref={variantPref}
+                    isNew={newKeys.has(offerKey(w.offer))}
+                  />
                 ))}
               </div>
             </div>
-          )}
-
-          {!!dAmazon.length && (
-            <div className="offer-group">
-              <h2 style={{ textAlign: "center" }}>Offers on Amazon</h2>
-              <div className="offer-grid">
-                {dAmazon.map((w, i) => (
-                  <OfferCard key={`amazon-${i}`} wrapper={w} />
-                ))}
-              </div>
-            </div>
-          )}
-
-          {!!dFlipkart.length && (
-            <div className="offer-group">
-              <h2 style={{ textAlign: "center" }}>Offers on Flipkart</h2>
-              <div className="offer-grid">
-                {dFlipkart.map((w, i) => (
-                  <OfferCard key={`flipkart-${i}`} wrapper={w} />
-                ))}
+          ) : cardGroups.length > 0 ? (
+            cardGroups.map((g) => (
+              <div className="offer-group" key={g.card}>
+                <h2 style={{ textAlign: "center" }}>Offers with {g.card}</h2>
+                <div className="offer-grid">
+                  {g.list.map((w, i) => (
+                    <OfferCard
+                      key={`${g.card}-${i}`}
+                      wrapper={w}
+                      showSite
+                      selected={selected}
+                      variantPref={variantPref}
+                      isNew={newKeys.has(offerKey(w.offer))}
+                    />
+                  ))}
+                </div>
               </div>
-            </div>
-          )}
-
-          {!!dTataCliq.length && (
-            <div className="offer-group">
-              <h2 style={{ textAlign: "center" }}>Offers on Tata CLiQ</h2>
-              <div className="offer-grid">
-                {dTataCliq.map((w, i) => (
-                  <OfferCard key={`tata-${i}`} wrapper={w} />
-                ))}
+            ))
+          ) : (
+            resultGroups.map((g) => (
+              <div className="offer-group" key={g.site}>
+                <h2 style={{ textAlign: "center" }}>Offers on {g.site}</h2>
+                <div className="offer-grid">
+                  {g.list.map((w, i) => (
+                    <OfferCard
+                      key={`${g.site}-${i}`}
+                      wrapper={w}
+                      selected={selected}
+                      variantPref={variantPref}
+                      isNew={newKeys.has(offerKey(w.offer))}
+                    />
+                  ))}
+                </div>
               </div>
-            </div>
-          )}
-
-          {!!dNykaa.length && (
-            <div className="offer-group">
-              <h2 style={{ textAlign: "center" }}>Offers on Nykaa Fashion</h2>
-              <div className="offer-grid">
-                {dNykaa.map((w, i) => (
-                  <OfferCard key={`nykaa-${i}`} wrapper={w} />
-                ))}
-              </div>
-            </div>
+            ))
           )}
         </div>
       )}
@@ -1088,6 +1968,57 @@ const ClothesOffers = () => {
         </p>
       )}
 
+      {/* Offers unlocked by the saved wallet */}
+      {!selected && walletOffers.length > 0 && (
+        <div
+          className="offers-section"
+          style={{ maxWidth: 1200, margin: "0 auto", padding: 20 }}
+        >
+          <div className="offer-group">
+            <h2 style={{ textAlign: "center" }}>Offers for my wallet</h2>
+            <div className="offer-grid">
+              {walletOffers.map((w, i) => (
+                <OfferCard
+                  key={`wallet-${i}`}
+                  wrapper={w}
+                  showSite
+                  selected={selected}
+                  variantPref={variantPref}
+                  isNew={newKeys.has(offerKey(w.offer))}
+                />
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Offers that need no specific card */}
+      {everyoneOffers.length > 0 && !noMatches && (
+        <div
+          className="offers-section"
+          style={{ maxWidth: 1200, margin: "0 auto", padding: 20 }}
+        >
+          <div className="offer-group everyone-group">
+            <h2 style={{ textAlign: "center" }}>Offers for everyone</h2>
+            <p className="everyone-subtitle">
+              No specific card needed – these apply whichever way you pay.
+            </p>
+            <div className="offer-grid">
+              {everyoneOffers.map((w, i) => (
+                <OfferCard
+                  key={`all-${i}`}
+                  wrapper={w}
+                  showSite
+                  selected={selected}
+                  variantPref={variantPref}
+                  isNew={newKeys.has(offerKey(w.offer))}
+                />
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Floating scroll button */}
       {selected && hasAny && !noMatches && (
         <button
@@ -1121,6 +2052,8 @@ const ClothesOffers = () => {
         </button>
       )}
 
+      <LoadStatusPanel status={loadStatus} />
+
       <Disclaimer />
     </div>
   );
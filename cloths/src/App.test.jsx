@@ -0,0 +1,201 @@
+// @vitest-environment jsdom
+import {
+  afterEach,
+  beforeAll,
+  beforeEach,
+  describe,
+  expect,
+  it,
+  vi,
+} from "vitest";
+import {
+  cleanup,
+  fireEvent,
+  render,
+  screen,
+  waitFor,
+  within,
+} from "@testing-library/react";
+import App from "./App.jsx";
+
+/** axios.get answers from public/, like the dev server; no compiled JSON */
+vi.mock("axios", async () => {
+  const fs = await import("node:fs");
+  const path = await import("node:path");
+  const { fileURLToPath } = await import("node:url");
+  const publicDir = path.resolve(
+    fileURLToPath(import.meta.url),
+    "../../public"
+  );
+  const get = async (url) => {
+    const file = decodeURIComponent(String(url).replace(/^\//, ""));
+    const full = path.join(publicDir, file);
+    if (!fs.existsSync(full)) {
+      throw Object.assign(new Error(`404 ${file}`), {
+        response: { status: 404 },
+      });
+    }
+    const text = fs.readFileSync(full, "utf8");
+    return { data: file.endsWith(".json") ? JSON.parse(text) : text };
+  };
+  return { default: { get } };
+});
+
+const combobox = () =>
+  screen.getByRole("combobox", { name: "Search cards, UPI apps or banks" });
+const options = () =>
+  within(screen.getByRole("listbox")).getAllByRole("option");
+const key = (k) => fireEvent.keyDown(combobox(), { key: k });
+const activeId = () => combobox().getAttribute("aria-activedescendant");
+
+/** Render, wait until every merchant has settled, then type `query` */
+async function openSuggestions(query) {
+  render(<App />);
+  await waitFor(
+    () => {
+      const summary = screen.getByText(/sites loaded/).textContent;
+      const [, loaded, total] = summary.match(/(\d+)\/(\d+) sites/);
+      const unavailable = Number(summary.match(/(\d+) unavailable/)?.[1] || 0);
+      expect(Number(loaded) + unavailable).toBe(Number(total));
+    },
+    { timeout: 15000 }
+  );
+  fireEvent.change(combobox(), { target: { value: query } });
+  await screen.findByRole("listbox");
+}
+
+beforeAll(() => {
+  Element.prototype.scrollIntoView = () => {};
+});
+
+beforeEach(() => {
+  vi.spyOn(console, "debug").mockImplementation(() => {});
+  localStorage.clear();
+  window.history.replaceState(null, "", "/");
+});
+
+afterEach(() => {
+  cleanup();
+  vi.restoreAllMocks();
+});
+
+// every render is the whole app over the real CSVs: give it time
+describe("card search combobox", { timeout: 30000 }, () => {
+  it("suggests for a query typed while the data is still loading", async () => {
+    render(<App />);
+    fireEvent.change(combobox(), { target: { value: "hdfc" } });
+    // one query, never retyped: it has to be answered once the index is built
+    await screen.findByRole("listbox", {}, { timeout: 15000 });
+    expect(options().length).toBeGreaterThan(0);
+    expect(screen.queryByText("No matching cards")).toBeNull();
+  });
+
+  it("opens with grouped options and expands", async () => {
+    await openSuggestions("hdfc");
+    expect(combobox().getAttribute("aria-expanded")).toBe("true");
+    const groups = within(screen.getByRole("listbox")).getAllByRole("group");
+    expect(groups.length).toBeGreaterThan(1);
+    for (const g of groups) {
+      const heading = g.querySelector(".dropdown-heading");
+      expect(g.getAttribute("aria-labelledby")).toBe(heading.id);
+    }
+  });
+
+  it("never makes a group heading an option", async () => {
+    await openSuggestions("hdfc");
+    const headings = document.querySelectorAll(".dropdown-heading");
+    expect(headings.length).toBeGreaterThan(1);
+    for (const h of headings) expect(h.getAttribute("role")).not.toBe("option");
+    for (const o of options()) {
+      expect(o.classList.contains("dropdown-heading")).toBe(false);
+    }
+  });
+
+  it("announces the number of suggestions", async () => {
+    await openSuggestions("hdfc");
+    const n = options().length;
+    const status = screen.getByText(/use up and down arrows/);
+    expect(status.getAttribute("role")).toBe("status");
+    expect(status.textContent).toBe(
+      `${n} suggestion${n === 1 ? "" : "s"}, use up and down arrows to choose`
+    );
+  });
+
+  it("highlights the query in each option", async () => {
+    await openSuggestions("hdfc");
+    const marks = options()[0].querySelectorAll("mark.match");
+    expect(marks.length).toBeGreaterThan(0);
+    expect(marks[0].textContent.toLowerCase()).toBe("hdfc");
+  });
+
+  it("moves through options only, wrapping at both ends", async () => {
+    await openSuggestions("hdfc");
+    const ids = options().map((o) => o.id);
+    expect(activeId()).toBeNull();
+
+    key("ArrowDown");
+    expect(activeId()).toBe(ids[0]);
+    key("ArrowUp");
+    expect(activeId()).toBe(ids[ids.length - 1]);
+    key("ArrowDown");
+    expect(activeId()).toBe(ids[0]);
+
+    // every step lands on the next option, skipping the headings between groups
+    const visited = [activeId()];
+    for (let i = 1; i < ids.length; i++) {
+      key("ArrowDown");
+      visited.push(activeId());
+    }
+    expect(visited).toEqual(ids);
+    expect(document.getElementById(activeId()).getAttribute("role")).toBe(
+      "option"
+    );
+    key("ArrowDown");
+    expect(activeId()).toBe(ids[0]);
+  });
+
+  it("marks the active option selected", async () => {
+    await openSuggestions("hdfc");
+    key("ArrowDown");
+    key("ArrowDown");
+    const active = document.getElementById(activeId());
+    expect(active.getAttribute("aria-selected")).toBe("true");
+    expect(
+      options().filter((o) => o.getAttribute("aria-selected") === "true")
+    ).toEqual([active]);
+  });
+
+  it("picks the active option on Enter", async () => {
+    await openSuggestions("hdfc");
+    key("ArrowDown");
+    key("ArrowDown");
+    const label = document
+      .getElementById(activeId())
+      .querySelector(".suggestion > span");
+    const meta = label.querySelector(".suggestion-meta")?.textContent || "";
+    const name = label.textContent.slice(
+      0,
+      label.textContent.length - meta.length
+    );
+
+    key("Enter");
+    expect(combobox().value).toBe(name);
+    expect(combobox().getAttribute("aria-expanded")).toBe("false");
+    expect(activeId()).toBeNull();
+    expect(screen.queryByRole("listbox")).toBeNull();
+  });
+
+  it("closes on Escape and reopens on ArrowDown", async () => {
+    await openSuggestions("hdfc");
+    key("ArrowDown");
+    key("Escape");
+    expect(combobox().getAttribute("aria-expanded")).toBe("false");
+    expect(activeId()).toBeNull();
+    expect(screen.queryByRole("listbox")).toBeNull();
+    expect(combobox().value).toBe("hdfc");
+
+    key("ArrowDown");
+    expect(screen.getByRole("listbox")).toBeTruthy();
+    expect(combobox().getAttribute("aria-expanded")).toBe("true");
+  });
+});
@@ -0,0 +1,217 @@
+import { useEffect, useState } from "react";
+import { termBadges } from "./offerParser.js";
+import { validityBadge } from "./offerDates.js";
+import { describeEligibility } from "./eligibility.js";
+import { offerTerms, offerValidity, alsoValidOn, sameEntry } from "./offers.js";
+import {
+  resolveImage,
+  handleImgError,
+  getCouponCode,
+  copyText,
+} from "./offerDisplay.js";
+import {
+  LIST_FIELDS,
+  firstField,
+  firstFieldByContains,
+} from "./offerFields.js";
+
+const MAX_ALSO_VALID = 6;
+
+/** Coupon code chip with one-click copy */
+const CouponChip = ({ code }) => {
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    if (!copied) return;
+    const t = setTimeout(() => setCopied(false), 1800);
+    return () => clearTimeout(t);
+  }, [copied]);
+
+  const onCopy = async () => {
+    try {
+      await copyText(code);
+      setCopied(true);
+    } catch (e) {
+      console.debug("[ClothesOffers] copy failed:", e);
+    }
+  };
+
+  return (
+    <div className="coupon-chip">
+      <span className="coupon-code">{code}</span>
+      <button
+        type="button"
+        className={`coupon-copy ${copied ? "is-copied" : ""}`}
+        onClick={onCopy}
+        aria-label={`Copy coupon code ${code}`}
+      >
+        {copied ? "Copied!" : "Copy"}
+      </button>
+    </div>
+  );
+};
+
+/**
+ * One offer as a card. `wrapper` comes from offers.js (makeWrapper /
+ * findOffers); `selected` is the picked dropdown entry and `variantPref` the
+ * declared network/variant, both optional. `isNew` adds the "New since your
+ * last visit" badge.
+ */
+const OfferCard = ({
+  wrapper,
+  showSite = false,
+  selected = null,
+  variantPref = "",
+  isNew = false,
+}) => {
+  const o = wrapper.offer;
+  const siteName = wrapper.site;
+  const logo = wrapper.merchant?.logo || "";
+
+  const eligibility = wrapper.eligibility || "eligible";
+  const hasVariant = !!wrapper.variantText?.trim();
+  const showVariantNote =
+    hasVariant && eligibility === "unknown" && wrapper.merchant?.variantNote;
+
+  let image =
+    firstField(o, LIST_FIELDS.image) || firstFieldByContains(o, "image");
+  let title = firstField(o, LIST_FIELDS.title) || o.Website || "Offer";
+  let desc = firstField(o, LIST_FIELDS.desc) || "";
+  let link = firstField(o, LIST_FIELDS.link);
+  const { code: couponCode, fromTitle } = getCouponCode(o);
+  if (fromTitle) title = "";
+  const badges = termBadges(wrapper.terms || offerTerms(o));
+  const validity = validityBadge(wrapper.validity || offerValidity(o));
+  const eligibilityLine = describeEligibility(o);
+  const alsoValid = alsoValidOn(o, [
+    ...(selected ? [selected.display] : []),
+    ...(wrapper.useWith || []),
+  ]);
+
+  // no offer image: the picked card's art when this offer was matched for
+  // it, else the merchant logo
+  const forSelected =
+    !!selected &&
+    !!wrapper.matchedFor &&
+    sameEntry(wrapper.matchedFor, selected);
+  const { src: imgSrc, usingFallback } = resolveImage(
+    (forSelected && selected.image) || logo,
+    image
+  );
+
+  const descBoxStyle = {
+    maxHeight: 140,
+    overflowY: "auto",
+    paddingRight: 8,
+    border: "1px solid #eee",
+    borderRadius: 6,
+    padding: "10px 12px",
+    background: "#fafafa",
+    lineHeight: 1.5,
+    whiteSpace: "pre-wrap",
+  };
+
+  return (
+    <div className={`offer-card is-${eligibility}`}>
+      {imgSrc && (
+        <img
+          className={`offer-img ${usingFallback ? "is-fallback" : ""}`}
+          src={imgSrc}
+          alt="Offer"
+          onError={(e) => handleImgError(e, logo)}
+        />
+      )}
+
+      <div className="offer-info">
+        {isNew && <span className="new-badge">New</span>}
+        {showSite && <div className="offer-site">{siteName}</div>}
+
+        {wrapper.useWith?.length > 0 && (
+          <div className="use-with">
+            Use: <strong>{wrapper.useWith.join(" or ")}</strong>
+          </div>
+        )}
+
+        {title && (
+          <div
+            className="offer-title"
+            style={{ fontWeight: 700, marginBottom: 8, fontSize: 16 }}
+          >
+            {title}
+          </div>
+        )}
+
+        {couponCode && <CouponChip code={couponCode} />}
+
+        {validity && (
+          <div className={`validity-badge is-${validity.tone}`}>
+            {validity.label}
+          </div>
+        )}
+
+        {badges.length > 0 && (
+          <div className="offer-badges">
+            {badges.map((b) => (
+              <span key={b.key} className={`offer-badge badge-${b.key}`}>
+                {b.label}
+              </span>
+            ))}
+          </div>
+        )}
+
+        {desc && (
+          <div className="offer-desc" style={descBoxStyle}>
+            {desc}
+          </div>
+        )}
+
+        {eligibilityLine && (
+          <div className="eligibility-line">Eligible: {eligibilityLine}</div>
+        )}
+
+        {alsoValid.length > 0 && (
+          <div className="also-valid">
+            Also valid on: {alsoValid.slice(0, MAX_ALSO_VALID).join(", ")}
+            {alsoValid.length > MAX_ALSO_VALID &&
+              ` +${alsoValid.length - MAX_ALSO_VALID} more`}
+          </div>
+        )}
+
+        {showVariantNote && (
+          <p
+            className="network-note"
+            style={{ color: "#b00020", marginTop: 8 }}
+          >
+            <strong>Note:</strong> This benefit is applicable only on{" "}
+            <em>{wrapper.variantText}</em> variant
+          </p>
+        )}
+        {hasVariant && eligibility === "unknown" && !showVariantNote && (
+          <p className="variant-status is-unknown">
+            Variant unknown – only on <em>{wrapper.variantText}</em>
+          </p>
+        )}
+        {hasVariant && eligibility === "ineligible" && (
+          <p className="variant-status is-ineligible">
+            Not valid on your {variantPref} card – only on{" "}
+            <em>{wrapper.variantText}</em>
+          </p>
+        )}
+        {hasVariant && eligibility === "eligible" && variantPref && (
+          <p className="variant-status is-eligible">
+            Valid on your {variantPref} card
+          </p>
+        )}
+
+        {/* 🔹 Only show button if link is present */}
+        {link && String(link).trim() && (
+          <button className="btn" onClick={() => window.open(link, "_blank")}>
+            View Offer
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OfferCard;
@@ -0,0 +1,326 @@
+import { useEffect, useState } from "react";
+import axios from "axios";
+import Papa from "papaparse";
+import { loadMerchants } from "./merchants.js";
+import { loadCatalog } from "./cardCatalog.js";
+import { makeWrapper, catalogMatch } from "./offers.js";
+import { isNonPaymentOffer, downloadBlob } from "./offerDisplay.js";
+import { LIST_FIELDS, toNorm } from "./offerFields.js";
+import OfferCard from "./OfferCard.jsx";
+import "./App.css";
+
+/** -------------------- ADMIN: OFFER EDITOR -------------------- */
+/**
+ * /admin, for the people who maintain the merchant CSVs: edit a merchant's
+ * rows in place, preview any row through the real OfferCard, see which rows
+ * no card can ever select, and download the result as CSV with the file's
+ * original headers. Nothing is saved server-side. main.jsx only routes here
+ * when the local admin flag is set.
+ */
+
+const MAX_CARD_OPTIONS = 20;
+
+/** Card column → catalog type its names come from */
+const cardColumnType = (field) =>
+  LIST_FIELDS.credit.includes(field)
+    ? "credit"
+    : LIST_FIELDS.debit.includes(field)
+      ? "debit"
+      : null;
+
+/** Raw CSV → editable sheet; keeps the header order and line endings for export */
+function parseSheet(file, text) {
+  const raw = String(text || "");
+  const parsed = Papa.parse(raw, { header: true, skipEmptyLines: true });
+  return {
+    file,
+    fields: parsed.meta.fields || [],
+    rows: parsed.data || [],
+    newline: raw.includes("\r\n") ? "\r\n" : "\n",
+  };
+}
+
+function sheetToCsv(sheet) {
+  const csv = Papa.unparse(
+    {
+      fields: sheet.fields,
+      data: sheet.rows.map((r) => sheet.fields.map((f) => r[f] ?? "")),
+    },
+    { newline: sheet.newline }
+  );
+  return `${csv}${sheet.newline}`;
+}
+
+/** Why a row is flagged, or "" */
+function rowProblem(row, catalog) {
+  if (isNonPaymentOffer(row)) return "";
+  const m = catalogMatch(row, catalog);
+  if (!m.known.length && !m.wildcards && !m.other) {
+    return m.unknown.length
+      ? `Matches no card – not in allCards.csv: ${m.unknown.join(", ")}`
+      : "Matches no card – no card, UPI or bank listed";
+  }
+  return m.unknown.length ? `Not in allCards.csv: ${m.unknown.join(", ")}` : "";
+}
+
+/**
+ * Datalist options for a comma-separated card cell: completes the last item
+ * and keeps the ones before it.
+ */
+function cardOptions(value, names) {
+  const text = String(value || "");
+  const cut = text.lastIndexOf(",");
+  const prefix = cut === -1 ? "" : `${text.slice(0, cut + 1).trim()} `;
+  const typed = toNorm(text.slice(cut + 1));
+  if (!typed) return [];
+  return names
+    .filter((n) => toNorm(n).includes(typed))
+    .slice(0, MAX_CARD_OPTIONS)
+    .map((n) => `${prefix}${n}`);
+}
+
+const OfferEditor = () => {
+  const [merchants, setMerchants] = useState(null);
+  const [siteKey, setSiteKey] = useState("");
+  const [sheet, setSheet] = useState(null);
+  const [loadError, setLoadError] = useState("");
+  const [dirty, setDirty] = useState(false);
+  const [catalog, setCatalog] = useState(null); // { credit, debit }, null until loaded
+  const [previewIdx, setPreviewIdx] = useState(0);
+  const [onlyFlagged, setOnlyFlagged] = useState(false);
+  const [activeCell, setActiveCell] = useState(null); // { type, value }
+
+  useEffect(() => {
+    loadMerchants().then((list) => {
+      setMerchants(list);
+      setSiteKey((k) => k || list[0]?.key || "");
+    });
+    loadCatalog()
+      .then(setCatalog)
+      .catch((e) => {
+        console.debug("[OfferEditor] allCards.csv load error:", e);
+        setCatalog({ credit: [], debit: [] });
+      });
+  }, []);
+
+  const merchant = (merchants || []).find((m) => m.key === siteKey) || null;
+
+  /** Raw rows, not the grouped ones the app shows: export must round-trip */
+  useEffect(() => {
+    if (!merchant) return;
+    let cancelled = false;
+    setSheet(null);
+    setLoadError("");
+    axios
+      .get(`/${encodeURIComponent(merchant.file)}`, { responseType: "text" })
+      .then((res) => {
+        if (cancelled) return;
+        if (/^\s*<(!doctype|html)/i.test(String(res.data || ""))) {
+          setLoadError(`${merchant.file} not found in public/`);
+          return;
+        }
+        setSheet(parseSheet(merchant.file, res.data));
+        setPreviewIdx(0);
+        setDirty(false);
+      })
+      .catch((e) => {
+        if (!cancelled) setLoadError(`${merchant.file}: ${e.message || e}`);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [merchant]);
+
+  const namesOf = (type) =>
+    (catalog?.[type] || []).flatMap((e) => [e.display, ...(e.aliases || [])]);
+
+  const pickSite = (key) => {
+    if (dirty && !window.confirm("Discard your unsaved edits?")) return;
+    setSiteKey(key);
+  };
+
+  const updateRows = (fn) => {
+    setSheet((prev) => ({ ...prev, rows: fn(prev.rows) }));
+    setDirty(true);
+  };
+
+  const editCell = (idx, field, value) =>
+    updateRows((rows) =>
+      rows.map((r, i) => (i === idx ? { ...r, [field]: value } : r))
+    );
+
+  const addRow = () => {
+    updateRows((rows) => [
+      ...rows,
+      Object.fromEntries(sheet.fields.map((f) => [f, ""])),
+    ]);
+    setPreviewIdx(sheet.rows.length);
+  };
+
+  const deleteRow = (idx) => {
+    updateRows((rows) => rows.filter((_, i) => i !== idx));
+    setPreviewIdx((p) => (p >= idx && p > 0 ? p - 1 : p));
+  };
+
+  const exportCsv = () => {
+    downloadBlob(sheet.file, sheetToCsv(sheet), "text/csv;charset=utf-8");
+    setDirty(false);
+  };
+
+  // rows are only checked once the catalog is in, or every card is "unknown"
+  const problems =
+    sheet && catalog ? sheet.rows.map((r) => rowProblem(r, catalog)) : [];
+  const flagged = problems.filter(Boolean).length;
+  const visible = sheet
+    ? sheet.rows
+        .map((row, idx) => ({ row, idx }))
+        .filter(({ idx }) => !onlyFlagged || problems[idx])
+    : [];
+  const previewRow = sheet?.rows[previewIdx];
+
+  const options = activeCell
+    ? cardOptions(activeCell.value, namesOf(activeCell.type))
+    : [];
+
+  return (
+    <div className="App admin-editor">
+      <h1>Offer editor</h1>
+      <p className="admin-note">
+        Edits stay in this browser until you export. Replace the file in public/
+        with the download to publish it.
+      </p>
+
+      <div className="admin-toolbar">
+        <label>
+          Merchant{" "}
+          <select value={siteKey} onChange={(e) => pickSite(e.target.value)}>
+            {(merchants || []).map((m) => (
+              <option key={m.key} value={m.key}>
+                {m.name} ({m.file})
+              </option>
+            ))}
+          </select>
+        </label>
+        {sheet && (
+          <>
+            <span>
+              {sheet.rows.length} rows ·{" "}
+              <strong className={flagged ? "admin-flag" : ""}>
+                {flagged} flagged
+              </strong>
+            </span>
+            <label>
+              <input
+                type="checkbox"
+                checked={onlyFlagged}
+                onChange={(e) => setOnlyFlagged(e.target.checked)}
+              />{" "}
+              Only flagged rows
+            </label>
+            <button type="button" className="btn" onClick={addRow}>
+              Add row
+            </button>
+            <button type="button" className="btn" onClick={exportCsv}>
+              Export {sheet.file}
+              {dirty ? " *" : ""}
+            </button>
+          </>
+        )}
+      </div>
+
+      {loadError && <p className="unavailable-note">{loadError}</p>}
+      {!sheet && !loadError && <p>Loading…</p>}
+
+      {sheet && (
+        <div className="admin-layout">
+          <div className="admin-table-wrap">
+            <table className="admin-table">
+              <thead>
+                <tr>
+                  <th>#</th>
+                  {sheet.fields.map((f) => (
+                    <th key={f}>{f}</th>
+                  ))}
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {visible.map(({ row, idx }) => (
+                  <tr
+                    key={idx}
+                    className={[
+                      problems[idx] ? "is-flagged" : "",
+                      idx === previewIdx ? "is-previewed" : "",
+                    ].join(" ")}
+                    onClick={() => setPreviewIdx(idx)}
+                  >
+                    {/* spreadsheet line number: the header is line 1 */}
+                    <th scope="row" title={problems[idx] || undefined}>
+                      {idx + 2}
+                      {problems[idx] && <span className="admin-flag"> ⚠</span>}
+                    </th>
+                    {sheet.fields.map((f) => {
+                      const type = cardColumnType(f);
+                      return (
+                        <td key={f}>
+                          <input
+                            type="text"
+                            value={row[f] ?? ""}
+                            title={row[f] ?? ""}
+                            aria-label={`Row ${idx + 2} ${f}`}
+                            list={type ? "admin-card-options" : undefined}
+                            onFocus={(e) =>
+                              setActiveCell(
+                                type ? { type, value: e.target.value } : null
+                              )
+                            }
+                            onChange={(e) => {
+                              editCell(idx, f, e.target.value);
+                              if (type) {
+                                setActiveCell({ type, value: e.target.value });
+                              }
+                            }}
+                          />
+                        </td>
+                      );
+                    })}
+                    <td>
+                      <button
+                        type="button"
+                        className="admin-delete"
+                        aria-label={`Delete row ${idx + 2}`}
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          deleteRow(idx);
+                        }}
+                      >
+                        ✕
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <datalist id="admin-card-options">
+              {options.map((o) => (
+                <option key={o} value={o} />
+              ))}
+            </datalist>
+          </div>
+
+          <aside className="admin-preview">
+            <h2>Row {previewIdx + 2} preview</h2>
+            {problems[previewIdx] && (
+              <p className="admin-flag">{problems[previewIdx]}</p>
+            )}
+            {previewRow && merchant && (
+              <OfferCard wrapper={makeWrapper(previewRow, merchant)} showSite />
+            )}
+          </aside>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OfferEditor;
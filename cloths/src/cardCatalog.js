@@ -0,0 +1,153 @@
+/** -------------------- CARD CATALOG (allCards.csv) -------------------- */
+/**
+ * allCards.csv lists card names in "Eligible Credit Cards" / "Eligible Debit
+ * Cards", two unrelated cards per row. Optional columns add metadata:
+ *   Issuer, Network, Tier, Annual Fee, Card Image, Aliases ("a; b; c")
+ * Metadata describes the row's credit card, or its debit card when the credit
+ * column is empty — a debit card that needs metadata goes on its own row. A
+ * card listed twice is merged; the first non-empty value of each field wins.
+ * Issuer and network fall back to what the card name says.
+ */
+
+import axios from "axios";
+import Papa from "papaparse";
+import {
+  LIST_FIELDS,
+  toNorm,
+  firstField,
+  splitList,
+  getBase,
+  brandCanonicalize,
+} from "./offerFields.js";
+import { issuerOf } from "./issuers.js";
+import { NETWORKS, networkOf } from "./cardNetworks.js";
+import { formatINR } from "./offerParser.js";
+
+export const CATALOG_FILE = "allCards.csv";
+
+const splitAliases = (val) =>
+  String(val || "")
+    .split(/[;|\n]/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+/** "₹1,499" → 1499, "Lifetime free" → 0, blank/unknown → null */
+function parseFee(val) {
+  const s = String(val || "").trim();
+  if (!s) return null;
+  if (/\b(free|ltf|nil)\b/i.test(s)) return 0;
+  const n = Number(s.replace(/[^\d.]/g, ""));
+  return s.match(/\d/) && Number.isFinite(n) ? n : null;
+}
+
+/** "rupay" → "RuPay"; "" when the text names no known network */
+const networkLabel = (text) => {
+  const key = networkOf(text);
+  return key ? NETWORKS[key].label : "";
+};
+
+function metaOf(row) {
+  const network = String(firstField(row, LIST_FIELDS.network) || "").trim();
+  return {
+    issuer: String(firstField(row, LIST_FIELDS.issuer) || "").trim(),
+    network: networkLabel(network) || network,
+    tier: String(firstField(row, LIST_FIELDS.tier) || "").trim(),
+    annualFee: parseFee(firstField(row, LIST_FIELDS.annualFee)),
+    image: String(firstField(row, LIST_FIELDS.cardImage) || "").trim(),
+    aliases: splitAliases(firstField(row, LIST_FIELDS.aliases)),
+  };
+}
+
+/** The row's card its metadata describes: "credit" | "debit" | null */
+export function metaOwner(names) {
+  if (names.credit.length) return names.credit.length === 1 ? "credit" : null;
+  return names.debit.length === 1 ? "debit" : null;
+}
+
+/** "Lifetime free" / "₹499 annual fee"; "" when unknown */
+export const annualFeeLabel = (fee) => {
+  if (fee === null || fee === undefined) return "";
+  return fee === 0 ? "Lifetime free" : `${formatINR(fee)} annual fee`;
+};
+
+const hasMeta = (m) =>
+  !!(m.issuer || m.network || m.tier || m.image || m.aliases.length) ||
+  m.annualFee !== null;
+
+/**
+ * Rows → { credit: [entry], debit: [entry] }, each sorted by name.
+ * entry: { type, display, baseNorm, issuer, network, tier, annualFee, image,
+ *   aliases }
+ */
+export function parseCatalog(rows) {
+  const maps = { credit: new Map(), debit: new Map() };
+
+  for (const row of rows || []) {
+    const names = {
+      credit: splitList(firstField(row, LIST_FIELDS.credit)),
+      debit: splitList(firstField(row, LIST_FIELDS.debit)),
+    };
+    const owner = metaOwner(names);
+    const meta = metaOf(row);
+
+    for (const type of ["credit", "debit"]) {
+      for (const raw of names[type]) {
+        const display = brandCanonicalize(getBase(raw));
+        const baseNorm = toNorm(display);
+        if (!baseNorm) continue;
+        const map = maps[type];
+        if (!map.has(baseNorm)) {
+          map.set(baseNorm, {
+            type,
+            display,
+            baseNorm,
+            issuer: "",
+            network: "",
+            tier: "",
+            annualFee: null,
+            image: "",
+            aliases: [],
+          });
+        }
+        if (type !== owner || !hasMeta(meta)) continue;
+        const entry = map.get(baseNorm);
+        for (const k of ["issuer", "network", "tier", "image"]) {
+          entry[k] = entry[k] || meta[k];
+        }
+        if (entry.annualFee === null) entry.annualFee = meta.annualFee;
+        for (const a of meta.aliases) {
+          if (!entry.aliases.includes(a)) entry.aliases.push(a);
+        }
+      }
+    }
+  }
+
+  const finish = (map) =>
+    Array.from(map.values())
+      .map((e) => ({
+        ...e,
+        issuer: e.issuer || issuerOf(e.display) || "",
+        network: e.network || networkLabel(e.display),
+      }))
+      .sort((a, b) => a.display.localeCompare(b.display));
+
+  return { credit: finish(maps.credit), debit: finish(maps.debit) };
+}
+
+/** Fetch + parse the catalog; rejects if the file can't be read */
+export async function loadCatalog() {
+  const res = await axios.get(`/${CATALOG_FILE}`);
+  const parsed = Papa.parse(res.data, { header: true });
+  return parseCatalog(parsed.data || []);
+}
+
+/** Catalog entry whose name or alias is `text` (normalized), or null */
+export function findCard(entries, text) {
+  const norm = toNorm(text);
+  if (!norm) return null;
+  const list = entries || [];
+  const byAlias = (e) => (e.aliases || []).some((a) => toNorm(a) === norm);
+  return (
+    list.find((e) => e.baseNorm === norm) || list.find(byAlias) || null
+  );
+}
@@ -0,0 +1,84 @@
+/** -------------------- CARD NETWORKS + VARIANTS -------------------- */
+/**
+ * Offers are often limited to a network or variant: "HDFC Regalia (Visa
+ * Signature)", "All RuPay cards". The user can declare theirs ("Visa
+ * Signature", "RuPay"), and each offer is then eligible, ineligible or — when
+ * the declaration doesn't settle it — unknown.
+ */
+
+import { toNorm } from "./offerFields.js";
+
+/** Network key → label + normalized aliases */
+export const NETWORKS = {
+  visa: { label: "Visa", aliases: ["visa"] },
+  mastercard: { label: "Mastercard", aliases: ["mastercard", "master card"] },
+  rupay: { label: "RuPay", aliases: ["rupay", "ru pay"] },
+  amex: { label: "Amex", aliases: ["amex", "american express"] },
+  diners: { label: "Diners Club", aliases: ["diners club", "diners"] },
+};
+
+const ALIASES = Object.entries(NETWORKS)
+  .flatMap(([key, n]) => n.aliases.map((alias) => ({ key, alias })))
+  .sort((a, b) => b.alias.length - a.alias.length);
+
+const ALIAS_RE = ALIASES.map((a) => a.alias).join("|");
+const WILDCARD_RE = new RegExp(
+  String.raw`^(?:(?:all|any)\s+)?(${ALIAS_RE})(?:\s+(credit|debit))?\s+cards?$`
+);
+
+/** Network key named in a card/variant string, or null */
+export function networkOf(text) {
+  const padded = ` ${toNorm(text)} `;
+  const hit = ALIASES.find(({ alias }) => padded.includes(` ${alias} `));
+  return hit ? hit.key : null;
+}
+
+/** Variant words other than the network: "Visa Signature" → "signature" */
+function tierWords(text) {
+  let s = ` ${toNorm(text)} `;
+  for (const { alias } of ALIASES) s = s.split(` ${alias} `).join(" ");
+  return s.split(" ").filter((w) => w && w !== "card" && w !== "cards");
+}
+
+/**
+ * Network-wide list item: "All RuPay cards" → { network: "rupay", type: null },
+ * "All Visa Debit Cards" → { network: "visa", type: "debit" }; else null.
+ */
+export function parseNetworkWildcard(raw) {
+  const m = toNorm(raw).match(WILDCARD_RE);
+  if (!m) return null;
+  const network = ALIASES.find((a) => a.alias === m[1]).key;
+  return { network, type: m[2] || null };
+}
+
+/**
+ * One offer variant against the user's declared network/variant.
+ * @returns {"eligible" | "ineligible" | "unknown"}
+ */
+export function variantStatus(variant, declared) {
+  if (!String(variant || "").trim()) return "eligible";
+  if (!String(declared || "").trim()) return "unknown";
+
+  const vNet = networkOf(variant);
+  const dNet = networkOf(declared);
+  if (vNet && dNet && vNet !== dNet) return "ineligible";
+
+  const vTier = tierWords(variant);
+  const dTier = tierWords(declared);
+  if (!vTier.length) return vNet && !dNet ? "unknown" : "eligible";
+  if (!dTier.length) return "unknown";
+  return vTier.every((w) => dTier.includes(w)) ? "eligible" : "ineligible";
+}
+
+const RANK = { eligible: 2, unknown: 1, ineligible: 0 };
+
+/** Best status across an offer's variants for one card (any one is enough) */
+export function bestVariantStatus(variants, declared) {
+  if (!variants.length) return "eligible";
+  let best = "ineligible";
+  for (const v of variants) {
+    const st = variantStatus(v, declared);
+    if (RANK[st] > RANK[best]) best = st;
+  }
+  return best;
+}
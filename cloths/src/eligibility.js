@@ -0,0 +1,278 @@
+/** -------------------- ELIGIBILITY RULES -------------------- */
+/**
+ * Card columns hold plain card names plus a small rule syntax:
+ *   all cc / all dc / All cards / All debit cards   type-wide
+ *   All UPI apps / All net banking                  every UPI app / bank
+ *   All HDFC Credit Cards / All SBI cards           bank-wide
+ *   All RuPay cards / All Visa Debit Cards          network-wide
+ *   All cards except corporate / except Amex        exclusions (per item,
+ *                                                   or a bare "except …"
+ *                                                   item for the column)
+ * Each column is parsed once per row; matching and the OfferCard
+ * eligibility line both work off the parsed rules.
+ */
+
+import {
+  LIST_FIELDS,
+  toNorm,
+  firstField,
+  firstFieldByContains,
+  splitList,
+  getBase,
+  getVariant,
+  brandCanonicalize,
+} from "./offerFields.js";
+import { issuerOf } from "./issuers.js";
+import {
+  NETWORKS,
+  networkOf,
+  parseNetworkWildcard,
+  variantStatus,
+  bestVariantStatus,
+} from "./cardNetworks.js";
+
+export const PAYMENT_TYPES = ["credit", "debit", "upi", "netbanking"];
+
+const NOUNS = {
+  credit: "credit cards",
+  debit: "debit cards",
+  upi: "UPI apps",
+  netbanking: "net banking",
+};
+
+/** Card/bank names an offer lists for one payment type */
+export function columnItems(offer, type) {
+  if (type === "debit") {
+    return splitList(
+      firstField(offer, LIST_FIELDS.debit) ||
+        firstFieldByContains(offer, "eligible debit") ||
+        firstFieldByContains(offer, "debit card")
+    );
+  }
+  if (type === "upi") {
+    return splitList(
+      firstField(offer, LIST_FIELDS.upi) || firstFieldByContains(offer, "upi")
+    );
+  }
+  if (type === "netbanking") {
+    return splitList(
+      firstField(offer, LIST_FIELDS.netBanking) ||
+        firstFieldByContains(offer, "net banking")
+    );
+  }
+  return splitList(
+    firstField(offer, LIST_FIELDS.credit) ||
+      firstFieldByContains(offer, "eligible credit") ||
+      firstFieldByContains(offer, "credit card") ||
+      firstFieldByContains(offer, "eligible cards")
+  );
+}
+
+const EXCEPT_RE =
+  /^(.*?)\s*\b(?:except|excluding|excl|other than|but not)\b\s*(.*)$/;
+const TYPE_WIDE_RE = /^(?:all|any)(?: (credit|debit))? cards?$/;
+const UPI_WIDE_RE = /^(?:all|any) upi(?: apps?| handles?| ids?)?$/;
+const NB_WIDE_RE = /^(?:all|any) (?:net ?banking|banks?)(?: accounts?)?$/;
+const BANK_WIDE_RE = /^(?:all|any) (.+?)(?: (credit|debit))?(?: cards?)?$/;
+
+const splitTerms = (s) =>
+  String(s || "")
+    .split(/\b(?:or|and)\b/)
+    .map((t) => t.trim())
+    .filter(Boolean);
+
+/**
+ * One list item → rule:
+ *   { kind: "card", display, baseNorm, variant }
+ *   { kind: "all" | "bank" | "network", cardType, issuer?, network?, except }
+ *   { kind: "exclude", except }
+ */
+export function parseRule(raw) {
+  const norm = toNorm(raw);
+  const ex = norm.match(EXCEPT_RE);
+  const head = ex ? ex[1] : norm;
+  const except = ex ? splitTerms(ex[2]) : [];
+
+  if (!head && except.length) return { kind: "exclude", except };
+  if (head === "all cc") return { kind: "all", cardType: "credit", except };
+  if (head === "all dc") return { kind: "all", cardType: "debit", except };
+
+  let m = head.match(TYPE_WIDE_RE);
+  if (m) return { kind: "all", cardType: m[1] || null, except };
+  if (UPI_WIDE_RE.test(head)) return { kind: "all", cardType: "upi", except };
+  if (NB_WIDE_RE.test(head)) {
+    return { kind: "all", cardType: "netbanking", except };
+  }
+
+  const net = parseNetworkWildcard(head);
+  if (net) {
+    const { network, type: cardType } = net;
+    return { kind: "network", network, cardType, except };
+  }
+
+  m = head.match(BANK_WIDE_RE);
+  if (m && issuerOf(m[1])) {
+    const issuer = issuerOf(m[1]);
+    return { kind: "bank", issuer, cardType: m[2] || null, except };
+  }
+
+  const display = brandCanonicalize(getBase(raw));
+  return {
+    kind: "card",
+    display,
+    baseNorm: toNorm(display),
+    variant: getVariant(raw),
+  };
+}
+
+const cache = new WeakMap();
+
+/** Parsed rules per payment type, memoized per CSV row: { credit: [rule], … } */
+export function offerRules(offer) {
+  if (offer && typeof offer === "object" && cache.has(offer)) {
+    return cache.get(offer);
+  }
+  const rules = Object.fromEntries(
+    PAYMENT_TYPES.map((t) => [t, columnItems(offer, t).map(parseRule)])
+  );
+  if (offer && typeof offer === "object") cache.set(offer, rules);
+  return rules;
+}
+
+/** Seed offerRules() for a row whose rules were compiled ahead (offersData.js) */
+export function primeRules(offer, rules) {
+  if (offer && typeof offer === "object") cache.set(offer, rules);
+}
+
+/** A plain card name (not a wildcard/exclusion)? */
+export const isCardItem = (raw) => parseRule(raw).kind === "card";
+
+const GENERIC = new Set(["card", "cards", "credit", "debit", "holders"]);
+
+/** Does an exclusion term ("corporate", "Amex", "HDFC") hit this entry? */
+function excludes(term, entry, declared) {
+  const net = networkOf(term);
+  if (net) {
+    return networkOf(entry.display) === net || networkOf(declared) === net;
+  }
+
+  const words = toNorm(term)
+    .split(" ")
+    .filter((w) => w && !GENERIC.has(w));
+  if (!words.length) return false;
+  // a bare bank name ("HDFC", "SBI Bank") excludes that issuer's cards
+  const bare = words.filter((w) => w !== "bank");
+  if (bare.length === 1 && issuerOf(bare[0])) {
+    return issuerOf(entry.display) === issuerOf(bare[0]);
+  }
+  return ` ${entry.baseNorm} `.includes(` ${words.join(" ")} `);
+}
+
+const RANK = { eligible: 2, unknown: 1, ineligible: 0 };
+
+/**
+ * Match one entry ({ type, display, baseNorm }) against its column's rules.
+ * An explicit card listing wins over wildcards; column-level "except …"
+ * items only narrow the wildcards.
+ *
+ * @returns {{ variantText: string, eligibility: string } | null}
+ */
+export function matchRules(rules, entry, declared = "") {
+  const columnExcept = rules
+    .filter((r) => r.kind === "exclude")
+    .flatMap((r) => r.except);
+
+  // Explicit listings: one without a variant means any variant
+  const listed = rules.filter(
+    (r) => r.kind === "card" && r.baseNorm === entry.baseNorm
+  );
+  if (listed.length) {
+    if (listed.some((r) => !r.variant)) {
+      return { variantText: "", eligibility: "eligible" };
+    }
+    const variants = [...new Set(listed.map((r) => r.variant))];
+    return {
+      variantText: variants.join(" / "),
+      eligibility: bestVariantStatus(variants, declared),
+    };
+  }
+
+  let best = null;
+  for (const r of rules) {
+    if (r.kind === "card" || r.kind === "exclude") continue;
+    if (r.cardType && r.cardType !== entry.type) continue;
+    if (r.kind === "bank" && issuerOf(entry.display) !== r.issuer) continue;
+    const except = [...r.except, ...columnExcept];
+    if (except.some((t) => excludes(t, entry, declared))) continue;
+
+    let hit = { variantText: "", eligibility: "eligible" };
+    if (r.kind === "network") {
+      const label = NETWORKS[r.network].label;
+      const own = networkOf(entry.display);
+      hit = own
+        ? {
+            variantText: label,
+            eligibility: own === r.network ? "eligible" : "ineligible",
+          }
+        : { variantText: label, eligibility: variantStatus(label, declared) };
+    }
+    if (!best || RANK[hit.eligibility] > RANK[best.eligibility]) best = hit;
+  }
+  return best;
+}
+
+/** Readable form of one wildcard rule in a column of `type` */
+function describeRule(r, type) {
+  const noun = NOUNS[r.cardType || type];
+  let text = `all ${noun}`;
+  if (r.kind === "bank") text = `all ${r.issuer} ${noun}`;
+  if (r.kind === "network") text = `all ${NETWORKS[r.network].label} ${noun}`;
+  return r.except.length ? `${text} except ${r.except.join(" or ")}` : text;
+}
+
+/**
+ * "All HDFC Bank credit cards except corporate; 3 more debit cards" — only
+ * for offers that use wildcards or exclusions (plain card lists are already
+ * covered by "Also valid on").
+ */
+export function describeEligibility(offer) {
+  const rules = offerRules(offer);
+  const all = PAYMENT_TYPES.flatMap((t) => rules[t]);
+  if (!all.some((r) => r.kind !== "card")) return "";
+
+  const parts = [];
+  for (const type of PAYMENT_TYPES) {
+    const col = rules[type];
+    const cards = col.filter((r) => r.kind === "card").length;
+    const except = col
+      .filter((r) => r.kind === "exclude")
+      .flatMap((r) => r.except);
+    const wild = col.filter((r) => r.kind !== "card" && r.kind !== "exclude");
+    for (const r of wild) parts.push(describeRule(r, type));
+    if (cards) {
+      const noun = cards === 1 ? NOUNS[type].replace(/s$/, "") : NOUNS[type];
+      parts.push(wild.length ? `${cards} more ${noun}` : `${cards} ${noun}`);
+    }
+    if (except.length) parts.push(`not ${except.join(" or ")}`);
+  }
+  const line = parts.join("; ");
+  return line.charAt(0).toUpperCase() + line.slice(1);
+}
+
+/** Issuer-level match for bank search: the cards/rules naming that bank */
+export function bankMatches(offer, issuerNorm) {
+  const rules = offerRules(offer);
+  const out = [];
+  for (const type of PAYMENT_TYPES) {
+    for (const r of rules[type]) {
+      let label = "";
+      if (r.kind === "card" && toNorm(issuerOf(r.display)) === issuerNorm) {
+        label = r.display;
+      } else if (r.kind === "bank" && toNorm(r.issuer) === issuerNorm) {
+        label = describeRule(r, type).replace(/^all/, "All");
+      }
+      if (label && !out.includes(label)) out.push(label);
+    }
+  }
+  return out;
+}
@@ -0,0 +1,80 @@
+/** -------------------- CARD ISSUERS -------------------- */
+/**
+ * Which bank issued a card, read off its name. Co-brands put the bank
+ * anywhere ("Flipkart Axis Bank Credit Card", "IRCTC SBI Card"), so the
+ * earliest alias found in the name wins. Aliases are matched on whole words
+ * of the normalized name (toNorm turns "J&K" into "j k").
+ */
+
+import { toNorm } from "./offerFields.js";
+
+/** Display name → aliases (normalized). Longer aliases are tried first. */
+const ISSUERS = {
+  "American Express": ["american express", "amex"],
+  "AU Small Finance Bank": ["au small finance", "au bank", "au"],
+  "Axis Bank": ["axis"],
+  "Bandhan Bank": ["bandhan"],
+  "Bank of Baroda": ["bank of baroda", "bobcard", "bob", "baroda"],
+  "Bank of India": ["bank of india", "boi"],
+  "Bank of Maharashtra": ["bank of maharashtra", "bom"],
+  "Canara Bank": ["canara"],
+  "Central Bank of India": ["central bank"],
+  Citibank: ["citibank", "citi"],
+  "City Union Bank": ["city union", "cub"],
+  "CSB Bank": ["catholic syrian", "csb"],
+  "DBS Bank": ["dbs"],
+  "DCB Bank": ["dcb"],
+  "Dhanlaxmi Bank": ["dhanlaxmi", "dhanlakshmi"],
+  "Equitas Small Finance Bank": ["equitas"],
+  "Federal Bank": ["federal", "fedfirst"],
+  "HDFC Bank": ["hdfc"],
+  HSBC: ["hsbc"],
+  "ICICI Bank": ["icici"],
+  "IDBI Bank": ["idbi"],
+  "IDFC FIRST Bank": ["idfc"],
+  "Indian Bank": ["indian bank"],
+  "Indian Overseas Bank": ["indian overseas", "iob"],
+  "IndusInd Bank": ["indusind"],
+  "Jammu & Kashmir Bank": ["j k bank", "j k"],
+  "Karnataka Bank": ["karnataka bank", "kbl"],
+  "Karur Vysya Bank": ["karur vysya", "kvb"],
+  "Kotak Mahindra Bank": ["kotak"],
+  "Nainital Bank": ["nainital"],
+  "Punjab & Sind Bank": ["punjab sind", "psb"],
+  "Punjab National Bank": ["punjab national", "pnb"],
+  "RBL Bank": ["rbl"],
+  SBI: ["state bank of india", "sbi"],
+  "SBM Bank": ["sbm"],
+  "South Indian Bank": ["south indian", "sib"],
+  "Standard Chartered": ["standard chartered"],
+  "Tamilnad Mercantile Bank": ["tamilnad mercantile", "tmb"],
+  "UCO Bank": ["uco"],
+  "Union Bank of India": ["union bank"],
+  "Utkarsh Small Finance Bank": ["utkarsh"],
+  "YES Bank": ["yes"],
+};
+
+const ALIASES = Object.entries(ISSUERS)
+  .flatMap(([name, aliases]) => aliases.map((alias) => ({ name, alias })))
+  .sort((a, b) => b.alias.length - a.alias.length);
+
+/** Issuer display name for a card/bank name, or null (UPI apps, wallets, unknown) */
+export function issuerOf(cardName) {
+  const padded = ` ${toNorm(cardName)} `;
+  let best = null;
+  for (const { name, alias } of ALIASES) {
+    const at = padded.indexOf(` ${alias} `);
+    if (at !== -1 && (!best || at < best.at)) best = { name, at };
+  }
+  return best ? best.name : null;
+}
+
+/** Distinct issuers across a list of card names, sorted by name */
+export function issuersIn(names) {
+  const out = new Set();
+  for (const n of names || []) {
+    const issuer = issuerOf(n);
+    if (issuer) out.add(issuer);
+  }
+  return Array.from(out).sort((a, b) => a.localeCompare(b));
+}
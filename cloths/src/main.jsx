@@ -2,9 +2,26 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import OfferEditor from './OfferEditor.jsx'
+import { registerServiceWorker } from './offline.js'
+
+// /admin opens the offer editor, but only where it's been switched on:
+// localStorage.setItem('clothesOffers.admin', '1') in this browser's console
+const ADMIN_FLAG_KEY = 'clothesOffers.admin'
+
+const isAdmin = () => {
+  if (window.location.pathname.replace(/\/+$/, '') !== '/admin') return false
+  try {
+    return localStorage.getItem(ADMIN_FLAG_KEY) === '1'
+  } catch {
+    return false
+  }
+}
+
+registerServiceWorker()
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    {isAdmin() ? <OfferEditor /> : <App />}
   </StrictMode>,
 )
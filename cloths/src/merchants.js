@@ -0,0 +1,59 @@
+import axios from "axios";
+import bundledMerchants from "../public/merchants.json" with { type: "json" };
+
+/** -------------------- MERCHANT REGISTRY -------------------- */
+/**
+ * One entry per merchant drives loading, matching, dedup and rendering.
+ * Adding a site is a config change: drop its CSV in public/ and add an entry
+ * to public/merchants.json. DEFAULT_MERCHANTS is that same file as bundled at
+ * build time, the fallback when fetching it fails.
+ *
+ *   key          stable id (lowercase), used for state + fallback lookups
+ *   name         display name ("Offers on {name}")
+ *   file         CSV in public/
+ *   logo         fallback image when a row has no usable image
+ *   variantNote  show the red "Applicable only on {variant} variant" note
+ *   order        display order (ascending)
+ *   enabled      false hides the merchant without deleting its entry
+ */
+export const DEFAULT_MERCHANTS = bundledMerchants;
+
+/**
+ * Validate + order a registry. Entries without a name or file are dropped,
+ * missing keys default to the lowercased name, duplicates keep the first.
+ * Accepts a bare array or { merchants: [...] }.
+ */
+export function normalizeMerchants(data) {
+  const list = Array.isArray(data) ? data : data?.merchants;
+  if (!Array.isArray(list)) return [];
+  const seen = new Set();
+  const out = [];
+  list.forEach((m, i) => {
+    if (!m || !m.name || !m.file) return;
+    const key = String(m.key || m.name).trim().toLowerCase();
+    if (seen.has(key)) return;
+    seen.add(key);
+    out.push({
+      key,
+      name: String(m.name).trim(),
+      file: String(m.file).trim(),
+      logo: m.logo ? String(m.logo).trim() : "",
+      variantNote: Boolean(m.variantNote),
+      order: Number.isFinite(Number(m.order)) ? Number(m.order) : 1000 + i,
+      enabled: m.enabled !== false,
+    });
+  });
+  return out.sort((a, b) => a.order - b.order);
+}
+
+/** Enabled merchants from /merchants.json, else the built-in defaults */
+export async function loadMerchants() {
+  try {
+    const res = await axios.get("/merchants.json");
+    const list = normalizeMerchants(res.data);
+    if (list.length) return list.filter((m) => m.enabled);
+  } catch (e) {
+    console.debug("[ClothesOffers] merchants.json load error:", e);
+  }
+  return normalizeMerchants(DEFAULT_MERCHANTS).filter((m) => m.enabled);
+}
@@ -0,0 +1,219 @@
+/** -------------------- OFFER VALIDITY DATES -------------------- */
+/**
+ * Offer start/end dates come from optional "Start Date"/"End Date" columns,
+ * falling back to periods written into the description:
+ *   "Offer period: 1 Feb28 Feb 2026"   (the en dash got lost in export)
+ *   "Valid Feb 1?28, 2026" / "Valid Feb 128, 2026"
+ *   "Valid FebMar 2026" / "Valid Feb 2026"
+ */
+
+const MONTHS = {
+  jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5,
+  jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Offers ending within this many days get the "expires in N days" badge */
+export const EXPIRY_SOON_DAYS = 7;
+
+const monthIndex = (name) => {
+  const m = MONTHS[String(name || "").slice(0, 3).toLowerCase()];
+  return m === undefined ? null : m;
+};
+
+const lastDayOf = (year, month) => new Date(year, month + 1, 0).getDate();
+
+function makeDate(year, month, day) {
+  if (month === null || !year) return null;
+  const d = Number(day);
+  if (!d || d < 1 || d > lastDayOf(year, month)) return null;
+  return new Date(year, month, d);
+}
+
+/** "128" (a "1–28" whose dash was stripped) → [1, 28]; "1" → [1, 1] */
+function splitDayRange(digits) {
+  const s = String(digits);
+  const n = Number(s);
+  if (n >= 1 && n <= 31) return [n, n];
+  for (let i = 1; i < s.length; i++) {
+    const a = Number(s.slice(0, i));
+    const b = Number(s.slice(i));
+    if (a >= 1 && b <= 31 && a <= b) return [a, b];
+  }
+  return null;
+}
+
+/** Parse a single date cell: ISO, dd/mm/yyyy, dd-mm-yyyy, "28 Feb 2026", "Feb 28, 2026" */
+export function parseDateCell(val) {
+  const s = String(val || "").trim();
+  if (!s) return null;
+
+  let m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (m) return makeDate(Number(m[1]), Number(m[2]) - 1, m[3]);
+
+  m = s.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (m) return makeDate(Number(m[3]), Number(m[2]) - 1, m[1]);
+
+  m = s.match(/^(\d{1,2})\s*([A-Za-z]{3,9})\.?,?\s*(\d{4})$/);
+  if (m) return makeDate(Number(m[3]), monthIndex(m[2]), m[1]);
+
+  m = s.match(/^([A-Za-z]{3,9})\.?\s*(\d{1,2}),?\s*(\d{4})$/);
+  if (m) return makeDate(Number(m[3]), monthIndex(m[1]), m[2]);
+
+  return null;
+}
+
+const SEP = String.raw`\s*(?:-|–|—|\?|to)?\s*`;
+
+/** Pull a { start, end } period out of free text, or null */
+export function extractPeriod(text) {
+  const s = String(text || "");
+  let m;
+
+  // "1 Feb28 Feb 2026", "1 Feb – 28 Mar 2026"
+  m = s.match(
+    new RegExp(
+      String.raw`\b(\d{1,2})\s*([A-Za-z]{3,9})${SEP}(\d{1,2})\s*([A-Za-z]{3,9}),?\s*(\d{4})`
+    )
+  );
+  if (m && monthIndex(m[2]) !== null && monthIndex(m[4]) !== null) {
+    const year = Number(m[5]);
+    const start = makeDate(year, monthIndex(m[2]), m[1]);
+    const end = makeDate(year, monthIndex(m[4]), m[3]);
+    if (start && end) return { start, end };
+  }
+
+  // "Feb 1?28, 2026", "Feb 1–28, 2026", "Feb 128, 2026"
+  m = s.match(/\b([A-Za-z]{3,9})\s+(\d{1,2})\s*(?:-|–|—|\?|to)\s*(\d{1,2}),?\s*(\d{4})/);
+  if (m && monthIndex(m[1]) !== null) {
+    const year = Number(m[4]);
+    const month = monthIndex(m[1]);
+    const start = makeDate(year, month, m[2]);
+    const end = makeDate(year, month, m[3]);
+    if (start && end) return { start, end };
+  }
+  m = s.match(/\b([A-Za-z]{3,9})\s+(\d{2,4}),\s*(\d{4})/);
+  if (m && monthIndex(m[1]) !== null) {
+    const days = splitDayRange(m[2]);
+    const year = Number(m[3]);
+    const month = monthIndex(m[1]);
+    if (days) {
+      const start = makeDate(year, month, days[0]);
+      const end = makeDate(year, month, days[1]);
+      // a single date ("Feb 28, 2026") is a deadline, not a window
+      if (start && end) return { start: days[0] === days[1] ? null : start, end };
+    }
+  }
+
+  // "FebMar 2026", "Feb–Mar 2026"
+  m = [
+    ...s.matchAll(/\b([A-Za-z]{3})[a-z]*\s*(?:-|–|—|\?|to)?\s*([A-Za-z]{3})[a-z]*\s+(\d{4})/g),
+  ].find((x) => monthIndex(x[1]) !== null && monthIndex(x[2]) !== null);
+  if (m) {
+    const year = Number(m[3]);
+    const from = monthIndex(m[1]);
+    const to = monthIndex(m[2]);
+    return {
+      start: new Date(year, from, 1),
+      end: new Date(year, to, lastDayOf(year, to)),
+    };
+  }
+
+  // "Valid Feb 2026", "during Feb 2026" → the whole month
+  m = s.match(
+    /\b(?:valid|during|period:?)\s+(?:in\s+|during\s+)?([A-Za-z]{3,9})\s+(\d{4})/i
+  );
+  if (m && monthIndex(m[1]) !== null) {
+    const year = Number(m[2]);
+    const month = monthIndex(m[1]);
+    return {
+      start: new Date(year, month, 1),
+      end: new Date(year, month, lastDayOf(year, month)),
+    };
+  }
+
+  // "valid till 28 Feb 2026"
+  m = s.match(
+    /\b(?:till|until|up\s*to|upto|ends?)\s+(\d{1,2}\s*[A-Za-z]{3,9},?\s*\d{4})/i
+  );
+  if (m) {
+    const end = parseDateCell(m[1]);
+    if (end) return { start: null, end };
+  }
+
+  return null;
+}
+
+/**
+ * Resolve a row's validity window. Explicit columns win; any side they leave
+ * empty is filled from the description text.
+ *
+ * @returns {{ start: Date|null, end: Date|null }}
+ */
+export function resolveValidity(startCell, endCell, text) {
+  let start = parseDateCell(startCell);
+  let end = parseDateCell(endCell);
+  if (!start || !end) {
+    const p = extractPeriod(text);
+    if (p) {
+      start = start || p.start;
+      end = end || p.end;
+    }
+  }
+  return { start, end };
+}
+
+const cache = new WeakMap();
+
+/** resolveValidity memoized per CSV row object */
+export function validityForRow(row, startCell, endCell, text) {
+  if (row && typeof row === "object" && cache.has(row)) return cache.get(row);
+  const v = resolveValidity(startCell, endCell, text);
+  if (row && typeof row === "object") cache.set(row, v);
+  return v;
+}
+
+const startOfDay = (d) => new Date(d.getFullYear(), d.getMonth(), d.getDate());
+
+/** Whole days from today until the end date (0 = ends today, negative = expired) */
+export function daysLeft(validity, now = new Date()) {
+  if (!validity?.end) return null;
+  return Math.round((startOfDay(validity.end) - startOfDay(now)) / DAY_MS);
+}
+
+export const isExpired = (validity, now = new Date()) => {
+  const d = daysLeft(validity, now);
+  return d !== null && d < 0;
+};
+
+export const formatDate = (d) =>
+  d.toLocaleDateString("en-IN", { day: "numeric", month: "short", year: "numeric" });
+
+/** Badge for the card: { label, tone: "expired" | "soon" | "upcoming" | "ok" } or null */
+export function validityBadge(validity, now = new Date()) {
+  if (!validity) return null;
+  if (validity.start && startOfDay(validity.start) > startOfDay(now)) {
+    return { label: `Starts ${formatDate(validity.start)}`, tone: "upcoming" };
+  }
+  const d = daysLeft(validity, now);
+  if (d === null) return null;
+  if (d < 0) return { label: `Expired ${formatDate(validity.end)}`, tone: "expired" };
+  if (d === 0) return { label: "Ends today", tone: "soon" };
+  if (d <= EXPIRY_SOON_DAYS) {
+    return { label: `Expires in ${d} day${d === 1 ? "" : "s"}`, tone: "soon" };
+  }
+  return { label: `Valid till ${formatDate(validity.end)}`, tone: "ok" };
+}
+
+/** Stable sort: soonest end date first, undated offers keep their order at the end */
+export function sortByExpiry(wrappers) {
+  return (wrappers || [])
+    .map((w, i) => ({
+      w,
+      i,
+      end: w.validity?.end ? w.validity.end.getTime() : Infinity,
+    }))
+    .sort((a, b) => a.end - b.end || a.i - b.i)
+    .map(({ w }) => w);
+}
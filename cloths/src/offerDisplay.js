@@ -0,0 +1,111 @@
+import { LIST_FIELDS, toNorm, firstField } from "./offerFields.js";
+
+/** -------------------- OFFER DISPLAY -------------------- */
+/**
+ * Row-level helpers for rendering an offer: image fallbacks, coupon codes and
+ * headlines. Shared by ClothesOffers and the admin editor's previews.
+ */
+
+/** A real image value, not blank or a placeholder like "NA" */
+export function isUsableImage(val) {
+  if (!val) return false;
+  const s = String(val).trim();
+  if (!s) return false;
+  if (/^(na|n\/a|null|undefined|-|image unavailable)$/i.test(s)) return false;
+  return true;
+}
+
+/**
+ * Decide which image to show + whether it's a fallback (merchant logo from the
+ * registry, or the picked card's art)
+ */
+export function resolveImage(fallback, candidate) {
+  const usingFallback = !isUsableImage(candidate) && !!fallback;
+  return {
+    src: usingFallback ? fallback : candidate,
+    usingFallback,
+  };
+}
+
+/** If the image fails, switch to fallback and mark as fallback for CSS */
+export function handleImgError(e, fallback) {
+  const el = e.currentTarget;
+  if (fallback && el.src !== fallback) {
+    el.src = fallback;
+    el.classList.add("is-fallback");
+  } else {
+    el.style.display = "none"; // hide if even fallback fails
+  }
+}
+
+/** Rows flagged in the Non-Payments-Offers column apply to anyone, no card needed */
+export function isNonPaymentOffer(offer) {
+  const flag = toNorm(firstField(offer, LIST_FIELDS.nonPayment));
+  return ["yes", "y", "true", "1"].includes(flag);
+}
+
+/** A bare single-token title like "Sale10" or "DIAL" is really a coupon code, not a headline */
+function isCodeLike(text, offer) {
+  const s = String(text || "").trim();
+  if (!/^[A-Za-z0-9_-]{3,20}$/.test(s)) return false;
+  return (
+    /\d/.test(s) ||
+    (s.length >= 4 && s === s.toUpperCase()) ||
+    isNonPaymentOffer(offer)
+  );
+}
+
+/** Coupon code from the coupon column, else from a code-like title → { code, fromTitle } */
+export function getCouponCode(offer) {
+  const explicit = firstField(offer, LIST_FIELDS.coupon);
+  if (
+    explicit &&
+    !/^(na|n\/a|none|no code|-)$/i.test(String(explicit).trim())
+  ) {
+    return { code: String(explicit).trim(), fromTitle: false };
+  }
+  const title = firstField(offer, LIST_FIELDS.title);
+  if (isCodeLike(title, offer)) {
+    return { code: String(title).trim(), fromTitle: true };
+  }
+  return { code: "", fromTitle: false };
+}
+
+/** Short label for an offer: its code, else its title */
+export function offerHeadline(offer) {
+  const { code } = getCouponCode(offer);
+  if (code) return `Code ${code}`;
+  return String(
+    firstField(offer, LIST_FIELDS.title) || offer.Website || "Offer"
+  );
+}
+
+/** Save `text` as a file named `filename` through a temporary download link */
+export function downloadBlob(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+/** Clipboard write with a fallback for older browsers */
+export async function copyText(text) {
+  if (navigator.clipboard?.writeText) {
+    await navigator.clipboard.writeText(text);
+    return;
+  }
+  // Older browsers / non-secure contexts
+  const el = document.createElement("textarea");
+  el.value = text;
+  el.setAttribute("readonly", "");
+  el.style.position = "absolute";
+  el.style.left = "-9999px";
+  document.body.appendChild(el);
+  el.select();
+  document.execCommand("copy");
+  document.body.removeChild(el);
+}
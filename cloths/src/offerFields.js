@@ -0,0 +1,115 @@
+/** -------------------- CSV FIELDS + CARD NAMES -------------------- */
+/**
+ * Column aliases and card-name normalization shared by the app and the
+ * offline data validator (scripts/validate-data.js). Keep this file free of
+ * browser/React imports so Node can load it as-is.
+ */
+
+/** Column aliases per logical field; the first non-empty match wins */
+export const LIST_FIELDS = {
+  credit: ["Eligible Credit Cards", "Eligible Cards"],
+  debit: ["Eligible Debit Cards", "Applicable Debit Cards"],
+  upi: ["UPI"],
+  netBanking: ["Net Banking"],
+  title: ["Offer Title", "Title", "Offer", "offer"],
+  image: ["Image", "Credit Card Image", "Offer Image", "image", "Image URL"],
+  link: ["Link", "Offer Link", "link", "URL"],
+  desc: ["Description", "Details", "Offer Description", "description"],
+  startDate: ["Start Date", "Valid From", "Offer Start Date", "start date"],
+  endDate: ["End Date", "Valid Till", "Valid Until", "Expiry Date", "end date"],
+  coupon: ["Coupon Code", "Coupon", "Promo Code", "Code", "coupon code"],
+  nonPayment: ["Non-Payments-Offers", "Non-Payment-Offers", "Non Payment Offers"],
+  // allCards.csv catalog metadata (all optional)
+  issuer: ["Issuer", "Bank", "issuer"],
+  network: ["Network", "Card Network", "network"],
+  tier: ["Tier", "Card Tier", "tier"],
+  annualFee: ["Annual Fee", "Fee", "annual fee"],
+  cardImage: ["Card Image", "Card Image URL", "Card Art"],
+  aliases: ["Aliases", "Also Known As", "aliases"],
+};
+
+export const toNorm = (s) =>
+  String(s || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[^\w\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+export function firstField(obj, keys) {
+  for (const k of keys) {
+    if (
+      obj &&
+      Object.prototype.hasOwnProperty.call(obj, k) &&
+      obj[k] !== undefined &&
+      obj[k] !== null &&
+      String(obj[k]).trim() !== ""
+    ) {
+      return obj[k];
+    }
+  }
+  return undefined;
+}
+
+/** case-insensitive find for keys that CONTAIN a substring */
+export function firstFieldByContains(obj, substr) {
+  if (!obj) return undefined;
+  const target = String(substr).toLowerCase();
+  for (const k of Object.keys(obj)) {
+    if (String(k).toLowerCase().includes(target)) {
+      const v = obj[k];
+      if (v !== undefined && v !== null && String(v).trim() !== "") return v;
+    }
+  }
+  return undefined;
+}
+
+const LIST_SEP_RE = /,|\/|;|\||\n|\r|\t|•/g;
+const AND_RE = /\band\b|\bAND\b/g;
+const EXCEPT_CLAUSE_RE = /\b(?:except|excluding|excl|other than|but not)\b/i;
+
+/**
+ * split across many separators; an "and" inside an exclusion stays put, so
+ * "All cards except Amex and Diners" is one item, not a rule plus "Diners"
+ */
+export function splitList(val) {
+  if (!val) return [];
+  return String(val)
+    .split(LIST_SEP_RE)
+    .flatMap((piece) => {
+      const at = piece.search(EXCEPT_CLAUSE_RE);
+      if (at === -1) return piece.split(AND_RE);
+      const items = piece.slice(0, at).split(AND_RE);
+      items[items.length - 1] += piece.slice(at);
+      return items;
+    })
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+/** Strip trailing parentheses: "HDFC Regalia (Visa Signature)" -> "HDFC Regalia" */
+export function getBase(name) {
+  if (!name) return "";
+  return String(name).replace(/\s*\([^)]*\)\s*$/, "").trim();
+}
+
+/** Variant if present at end-in-parens: "… (Visa Signature)" -> "Visa Signature" */
+export function getVariant(name) {
+  if (!name) return "";
+  const m = String(name).match(/\(([^)]+)\)\s*$/);
+  return m ? m[1].trim() : "";
+}
+
+/** Display casing for common brand spellings (search matching goes through synonyms.js) */
+export function brandCanonicalize(text) {
+  let s = String(text || "");
+  s = s.replace(/\bMakemytrip\b/gi, "MakeMyTrip");
+  s = s.replace(/\bIcici\b/gi, "ICICI");
+  s = s.replace(/\bHdfc\b/gi, "HDFC");
+  s = s.replace(/\bSbi\b/gi, "SBI");
+  s = s.replace(/\bIdfc\b/gi, "IDFC");
+  s = s.replace(/\bPnb\b/gi, "PNB");
+  s = s.replace(/\bRbl\b/gi, "RBL");
+  s = s.replace(/\bYes\b/gi, "YES");
+  return s;
+}
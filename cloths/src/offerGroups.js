@@ -0,0 +1,113 @@
+/** -------------------- OFFER GROUPING -------------------- */
+/**
+ * The CSVs often repeat one offer once per card — Myntra's "HSBC Offer" has a
+ * row for Live+, Visa Platinum, Taj…, Amazon does the same for HDFC EMI.
+ * Rows with the same title/description/image/link (offerKey) collapse into
+ * one canonical row whose card columns list every card from the group, so
+ * matching, counts and the marquee all work on real offers.
+ */
+
+import {
+  LIST_FIELDS,
+  toNorm,
+  firstField,
+  firstFieldByContains,
+  splitList,
+  getBase,
+  getVariant,
+  brandCanonicalize,
+} from "./offerFields.js";
+import { isCardItem } from "./eligibility.js";
+
+/** Card columns merged across a group, with the entry type each one feeds */
+const CARD_FIELDS = [
+  ["credit", "credit"],
+  ["debit", "debit"],
+  ["upi", "upi"],
+  ["netBanking", "netbanking"],
+];
+
+function normalizeUrl(u) {
+  if (!u) return "";
+  let s = String(u).trim().toLowerCase();
+  s = s.replace(/^https?:\/\//, "").replace(/^www\./, "");
+  if (s.endsWith("/")) s = s.slice(0, -1);
+  return s;
+}
+
+/** Identity of an offer regardless of which card row it came from */
+export function offerKey(offer) {
+  const imgGuess =
+    firstField(offer, LIST_FIELDS.image) || firstFieldByContains(offer, "image");
+  const image = normalizeUrl(imgGuess || "");
+  const title = toNorm(
+    firstField(offer, LIST_FIELDS.title) || offer.Website || ""
+  );
+  const desc = toNorm(firstField(offer, LIST_FIELDS.desc) || "");
+  const link = normalizeUrl(firstField(offer, LIST_FIELDS.link) || "");
+  return `${title}||${desc}||${image}||${link}`;
+}
+
+const rowCounts = new WeakMap();
+
+/** Union the card lists of `rows` into a copy of the first row */
+function mergeRows(rows) {
+  const merged = { ...rows[0] };
+  for (const [field] of CARD_FIELDS) {
+    for (const col of LIST_FIELDS[field]) {
+      const seen = new Set();
+      const values = [];
+      for (const row of rows) {
+        for (const raw of splitList(row[col])) {
+          const norm = toNorm(raw);
+          if (seen.has(norm)) continue;
+          seen.add(norm);
+          values.push(raw);
+        }
+      }
+      if (values.length) merged[col] = values.join(", ");
+    }
+  }
+  rowCounts.set(merged, rows.length);
+  return merged;
+}
+
+/**
+ * Collapse per-card duplicate rows, keeping first-seen order. Single rows are
+ * returned as-is so per-row memoization keeps working.
+ */
+export function groupOfferRows(rows) {
+  const groups = new Map();
+  for (const row of rows || []) {
+    const k = offerKey(row);
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(row);
+  }
+  return Array.from(groups.values(), (g) =>
+    g.length === 1 ? g[0] : mergeRows(g)
+  );
+}
+
+/** How many CSV rows an offer was built from (1 for ungrouped rows) */
+export const sourceRowCount = (offer) => rowCounts.get(offer) || 1;
+
+/**
+ * Every card an offer names, wildcards excluded:
+ * [{ type, display, variant, baseNorm }] in column order.
+ */
+export function offerCards(offer) {
+  const out = [];
+  const seen = new Set();
+  for (const [field, type] of CARD_FIELDS) {
+    for (const raw of splitList(firstField(offer, LIST_FIELDS[field]))) {
+      if (!isCardItem(raw)) continue;
+      const display = brandCanonicalize(getBase(raw));
+      const variant = getVariant(raw);
+      const key = `${type}|${toNorm(display)}|${toNorm(variant)}`;
+      if (!display || seen.has(key)) continue;
+      seen.add(key);
+      out.push({ type, display, variant, baseNorm: toNorm(display) });
+    }
+  }
+  return out;
+}
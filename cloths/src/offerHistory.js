@@ -0,0 +1,87 @@
+import { offerKey } from "./offerGroups.js";
+import { offerHeadline } from "./offerDisplay.js";
+import { LIST_FIELDS } from "./offerFields.js";
+import { PAYMENT_TYPES, columnItems } from "./eligibility.js";
+
+/** -------------------- SEEN OFFERS (localStorage) -------------------- */
+/**
+ * What each merchant offered on the previous visit, so this one can tell
+ * what's new and what's gone. Per merchant we keep every offer's offerKey
+ * with a short label and its eligible-card columns (the removed ones can't
+ * be rendered or matched from the CSV any more):
+ *
+ *   { version, sites: { [merchant.key]: { savedAt, offers: { [key]: { label, cards } } } } }
+ *
+ * A merchant with no snapshot yet (first visit, or newly added) has nothing
+ * "new" — otherwise every offer would be.
+ */
+const SEEN_STORAGE_KEY = "clothesOffers.seen";
+const SEEN_VERSION = 2;
+
+/** Where eligibilityRow() puts each payment type's card list */
+const CARD_COLUMNS = {
+  credit: LIST_FIELDS.credit[0],
+  debit: LIST_FIELDS.debit[0],
+  upi: LIST_FIELDS.upi[0],
+  netbanking: LIST_FIELDS.netBanking[0],
+};
+
+export function readSeen() {
+  try {
+    const data = JSON.parse(localStorage.getItem(SEEN_STORAGE_KEY));
+    if (data?.version === SEEN_VERSION && data.sites) return data.sites;
+  } catch {
+    // unreadable: start over
+  }
+  return {};
+}
+
+export function writeSeen(sites) {
+  try {
+    localStorage.setItem(
+      SEEN_STORAGE_KEY,
+      JSON.stringify({ version: SEEN_VERSION, sites })
+    );
+  } catch (e) {
+    console.debug("[ClothesOffers] seen-offers save error:", e);
+  }
+}
+
+/** Just an offer's card columns: enough for findOffers() to match it later */
+function eligibilityRow(offer) {
+  const row = {};
+  for (const type of PAYMENT_TYPES) {
+    const items = columnItems(offer, type);
+    if (items.length) row[CARD_COLUMNS[type]] = items.join(", ");
+  }
+  return row;
+}
+
+/** One merchant's snapshot of its current offers */
+export function snapshotOffers(offers, now = new Date()) {
+  const out = {};
+  for (const o of offers || []) {
+    out[offerKey(o)] = { label: offerHeadline(o), cards: eligibilityRow(o) };
+  }
+  return { savedAt: now.toISOString(), offers: out };
+}
+
+/**
+ * Offers against the merchant's previous snapshot:
+ * { added: Set(offerKey), removed: [{ key, label, offer }] }, both empty
+ * without one. A removed `offer` only has the card columns.
+ */
+export function diffOffers(previous, offers) {
+  const added = new Set();
+  const removed = [];
+  if (!previous?.offers) return { added, removed };
+
+  const current = new Set((offers || []).map(offerKey));
+  for (const k of current) {
+    if (!(k in previous.offers)) added.add(k);
+  }
+  for (const [key, { label, cards }] of Object.entries(previous.offers)) {
+    if (!current.has(key)) removed.push({ key, label, offer: cards });
+  }
+  return { added, removed };
+}
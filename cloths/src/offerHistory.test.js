@@ -0,0 +1,54 @@
+import fs from "node:fs";
+import Papa from "papaparse";
+import { describe, expect, it } from "vitest";
+import { snapshotOffers, diffOffers } from "./offerHistory.js";
+import { findOffers, makeEntry } from "./offers.js";
+import { groupOfferRows, offerKey } from "./offerGroups.js";
+import { DEFAULT_MERCHANTS } from "./merchants.js";
+
+const myntra = DEFAULT_MERCHANTS.find((m) => m.key === "myntra");
+const rows = groupOfferRows(
+  Papa.parse(
+    fs.readFileSync(
+      new URL(`../public/${myntra.file}`, import.meta.url),
+      "utf8"
+    ),
+    { header: true, skipEmptyLines: true }
+  ).data
+);
+
+describe("diffOffers", () => {
+  const previous = snapshotOffers(rows);
+
+  it("has nothing to report without a previous snapshot", () => {
+    const { added, removed } = diffOffers(undefined, rows);
+    expect(added.size).toBe(0);
+    expect(removed).toEqual([]);
+  });
+
+  it("reports offers added and removed since the snapshot", () => {
+    const [gone, ...rest] = rows;
+    const { added, removed } = diffOffers(snapshotOffers(rest), rows);
+    expect([...added]).toEqual([offerKey(gone)]);
+    expect(diffOffers(previous, rest).removed.map((r) => r.key)).toEqual([
+      offerKey(gone),
+    ]);
+    expect(removed).toEqual([]);
+  });
+
+  it("keeps enough of a removed offer to match it against a card", () => {
+    const neo = makeEntry("Axis Bank Neo Credit Card", "credit");
+    const mine = rows.filter(
+      (o) => findOffers(neo, [o], { merchant: myntra }).length
+    );
+    expect(mine.length).toBeGreaterThan(0);
+
+    const { removed } = diffOffers(previous, []);
+    const matched = findOffers(
+      neo,
+      removed.map((r) => r.offer),
+      { merchant: myntra }
+    ).map((w) => removed.find((r) => r.offer === w.offer).key);
+    expect(matched.sort()).toEqual(mine.map(offerKey).sort());
+  });
+});
@@ -0,0 +1,215 @@
+/** -------------------- OFFER TEXT PARSER -------------------- */
+/**
+ * Pulls the economics out of free-text offer titles/descriptions:
+ *   "10% Instant Discount ... min spend of Rs. 4,000"
+ *   "Flat INR 500 ... maximum total discount per card up to ?5,250"
+ *
+ * The CSVs write rupees as "Rs.", "INR", "₹" or — where the encoding got
+ * mangled — a bare "?", so every amount pattern accepts all four.
+ */
+
+const CUR = String.raw`(?:rs\.?|inr|₹|\?)\s*`;
+const AMT = String.raw`(\d[\d,]*(?:\.\d+)?)`;
+const MONEY = CUR + AMT;
+
+const PERCENT_RE = /(\d+(?:\.\d+)?)\s*%/;
+
+const FLAT_RES = [
+  new RegExp(
+    String.raw`\b(?:flat|additional|extra|assured)\s+(?:flat\s+)?(?:cashback\s+(?:of\s+)?)?${MONEY}`,
+    "i"
+  ),
+  new RegExp(String.raw`${MONEY}\s*(?:instant\s+)?(?:discount|off|cashback)\b`, "i"),
+];
+
+const CAP_RES = [
+  new RegExp(String.raw`\b(?:up\s*to|upto|capped\s+at)\s+${MONEY}`, "i"),
+  new RegExp(
+    String.raw`\bmax(?:imum)?\.?(?:\s+[a-z]+){0,4}?\s+(?:up\s*to\s+|of\s+)?${MONEY}`,
+    "i"
+  ),
+];
+
+const SPEND_NOUN = String.raw`(?:carts?|orders?|transactions?|purchases?|spends?|txn)`;
+const MIN_RES = [
+  new RegExp(
+    String.raw`\bmin(?:imum)?\.?\s+(?:spend|purchase|transaction|order|cart|txn)?\s*(?:value\s+)?(?:of\s+)?${MONEY}`,
+    "i"
+  ),
+  new RegExp(
+    String.raw`\b${SPEND_NOUN}\s+(?:value\s+)?(?:of\s+)?(?:above|over|worth)\s+${MONEY}`,
+    "i"
+  ),
+  // "of ₹X" only counts with an explicit "and above"/"or more"/"+" — otherwise it's usually a worked example
+  new RegExp(
+    String.raw`\b${SPEND_NOUN}\s+(?:value\s+)?of\s+${MONEY}\s*(?:\+|or\s+(?:more|above)|and\s+above)`,
+    "i"
+  ),
+  new RegExp(String.raw`\b(?:carts?|orders?)\s+${MONEY}\s*\+`, "i"),
+];
+
+const EMI_RE = /\bEMI\b/i;
+const NOT_EMI_RE = /\bnon[-\s]?EMI\b|\b(?:not\s+(?:applicable|valid)\s+on|exclud\w*|except)\s+EMI\b/i;
+const CASHBACK_RE = /\bcash\s*back\b|\d\s*%\s*back\b/i;
+const INSTANT_RE = /\binstant\b|\bdiscount\b|\boff\b/i;
+
+const toAmount = (s) => {
+  const n = Number(String(s || "").replace(/,/g, ""));
+  return Number.isFinite(n) && n > 0 ? n : null;
+};
+
+function firstMatch(res, text) {
+  for (const re of res) {
+    const m = String(text || "").match(re);
+    if (m) {
+      const n = toAmount(m[1]);
+      if (n !== null) return n;
+    }
+  }
+  return null;
+}
+
+function firstPercent(text) {
+  const m = String(text || "").match(PERCENT_RE);
+  if (!m) return null;
+  const n = Number(m[1]);
+  return n > 0 && n <= 100 ? n : null;
+}
+
+/**
+ * Parse the offer terms. The title is trusted first (it's the short, specific
+ * line), the description is the fallback for anything the title doesn't say.
+ *
+ * @returns {{ percent: number|null, flat: number|null, maxCap: number|null,
+ *   minSpend: number|null, emiOnly: boolean, kind: "cashback"|"instant"|null }}
+ */
+export function parseOfferTerms(title, desc) {
+  const t = String(title || "");
+  const d = String(desc || "");
+  const sources = [t, d];
+
+  let percent = null;
+  let flat = null;
+  for (const src of sources) {
+    percent = firstPercent(src);
+    if (percent !== null) break;
+    flat = firstMatch(FLAT_RES, src);
+    if (flat !== null) break;
+  }
+
+  let maxCap = null;
+  let minSpend = null;
+  for (const src of sources) {
+    if (maxCap === null) maxCap = firstMatch(CAP_RES, src);
+    if (minSpend === null) minSpend = firstMatch(MIN_RES, src);
+  }
+  if (percent === null && flat !== null && maxCap !== null) {
+    if (maxCap === flat) {
+      // "Upto Rs. 500 Cashback" reads as a flat amount but is only a ceiling
+      flat = null;
+    } else if (maxCap > flat) {
+      // "Flat ₹500, max ₹5,250 per card during the offer period" is a campaign cap, not a per-order one
+      maxCap = null;
+    }
+  }
+
+  const headline = t.trim() || d.split(/[.\n]/)[0];
+  const emiOnly = EMI_RE.test(headline) && !NOT_EMI_RE.test(headline);
+
+  const both = `${t} ${d}`;
+  let kind = null;
+  if (CASHBACK_RE.test(t) || (!INSTANT_RE.test(t) && CASHBACK_RE.test(d))) {
+    kind = "cashback";
+  } else if (INSTANT_RE.test(both)) {
+    kind = "instant";
+  }
+
+  return { percent, flat, maxCap, minSpend, emiOnly, kind };
+}
+
+const cache = new WeakMap();
+
+/** parseOfferTerms memoized per CSV row object (rows are stable once loaded) */
+export function termsForRow(row, title, desc) {
+  if (row && typeof row === "object" && cache.has(row)) return cache.get(row);
+  const terms = parseOfferTerms(title, desc);
+  if (row && typeof row === "object") cache.set(row, terms);
+  return terms;
+}
+
+export const formatINR = (n) =>
+  `₹${Number(n).toLocaleString("en-IN", { maximumFractionDigits: 2 })}`;
+
+/** Short badge labels for the card UI: [{ key, label }] */
+export function termBadges(terms) {
+  if (!terms) return [];
+  const out = [];
+  if (terms.percent !== null) {
+    const verb = terms.kind === "cashback" ? "back" : "off";
+    out.push({ key: "percent", label: `${terms.percent}% ${verb}` });
+  }
+  if (terms.flat !== null) {
+    out.push({ key: "flat", label: `${formatINR(terms.flat)} flat` });
+  }
+  if (terms.maxCap !== null) {
+    out.push({ key: "cap", label: `Up to ${formatINR(terms.maxCap)}` });
+  }
+  if (terms.minSpend !== null) {
+    out.push({ key: "min", label: `Min ${formatINR(terms.minSpend)}` });
+  }
+  if (terms.emiOnly) out.push({ key: "emi", label: "EMI only" });
+  if (terms.kind === "cashback") out.push({ key: "cashback", label: "Cashback" });
+  if (terms.kind === "instant") out.push({ key: "instant", label: "Instant discount" });
+  return out;
+}
+
+/**
+ * Effective saving of one offer for a given cart value, honouring the minimum
+ * spend and the per-order cap.
+ *
+ * @returns {{ eligible: boolean, saving: number|null, upTo: boolean, reason: string }}
+ */
+export function computeSaving(terms, cartValue) {
+  const cart = Number(cartValue);
+  if (!terms || !Number.isFinite(cart) || cart <= 0) {
+    return { eligible: false, saving: null, upTo: false, reason: "" };
+  }
+  if (terms.minSpend !== null && cart < terms.minSpend) {
+    return {
+      eligible: false,
+      saving: null,
+      upTo: false,
+      reason: `needs ${formatINR(terms.minSpend)} minimum`,
+    };
+  }
+
+  let saving = null;
+  let upTo = false;
+  if (terms.percent !== null) {
+    saving = (cart * terms.percent) / 100;
+    if (terms.maxCap !== null) saving = Math.min(saving, terms.maxCap);
+  } else if (terms.flat !== null) {
+    saving = terms.flat;
+  } else if (terms.maxCap !== null) {
+    saving = terms.maxCap;
+    upTo = true;
+  }
+
+  if (saving === null) {
+    return { eligible: true, saving: null, upTo: false, reason: "saving not stated" };
+  }
+  // A flat discount can't exceed what you pay
+  saving = Math.round(Math.min(saving, cart) * 100) / 100;
+  return { eligible: true, saving, upTo, reason: "" };
+}
+
+/** Stable sort: biggest saving at the given cart value first, unknown/ineligible last */
+export function sortBySaving(wrappers, cartValue) {
+  return (wrappers || [])
+    .map((w, i) => {
+      const r = computeSaving(w.terms, cartValue);
+      return { w, i, v: r.eligible && r.saving !== null ? r.saving : -1 };
+    })
+    .sort((a, b) => b.v - a.v || a.i - b.i)
+    .map(({ w }) => w);
+}
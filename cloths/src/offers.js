@@ -0,0 +1,247 @@
+/** -------------------- OFFERS ENGINE -------------------- */
+/**
+ * Everything between the CSV rows and the rendered offer list, with no React
+ * in it: the component (and scripts/) pass rows, entries and the declared
+ * variant in explicitly instead of reading them from state.
+ *
+ *   buildCatalog(rows)                      names the offer columns mention
+ *   mergeCatalogs(catalogs)                 several buildCatalog() results as one
+ *   buildSearch(entries, synonymGroups)     per-type search indexes
+ *   searchEntries(search, query, limit)     dropdown suggestions per type
+ *   findOffers(entry, merchantRows, opts)   offer wrappers for one entry
+ *   catalogMatch(row, catalog)              row's cards vs. allCards.csv
+ */
+
+import {
+  LIST_FIELDS,
+  toNorm,
+  firstField,
+  splitList,
+  getBase,
+  brandCanonicalize,
+} from "./offerFields.js";
+import { termsForRow } from "./offerParser.js";
+import { validityForRow } from "./offerDates.js";
+import { offerKey, offerCards } from "./offerGroups.js";
+import {
+  offerRules,
+  matchRules,
+  bankMatches,
+  isCardItem,
+} from "./eligibility.js";
+import { findCard } from "./cardCatalog.js";
+import { makeCanonicalizer } from "./synonyms.js";
+import { buildSearchIndex, searchIndex } from "./searchIndex.js";
+
+/** Dropdown entry types, in suggestion order */
+export const ENTRY_TYPES = ["credit", "debit", "upi", "netbanking", "bank"];
+
+/** Dropdown entry builder */
+export function makeEntry(raw, type) {
+  const base = brandCanonicalize(getBase(raw));
+  return { type, display: base, baseNorm: toNorm(base) };
+}
+
+/** Same dropdown entry (type + normalized base name)? */
+export const sameEntry = (a, b) =>
+  a.type === b.type && a.baseNorm === b.baseNorm;
+
+const CATALOG_COLUMNS = {
+  credit: LIST_FIELDS.credit,
+  debit: LIST_FIELDS.debit,
+  upi: LIST_FIELDS.upi,
+  netbanking: LIST_FIELDS.netBanking,
+};
+
+/**
+ * Distinct card/app/bank names listed across offer rows, per payment type and
+ * sorted: { credit: [display], debit, upi, netbanking }. Wildcards ("All
+ * RuPay cards") aren't names and are skipped.
+ */
+export function buildCatalog(rows) {
+  const maps = Object.fromEntries(
+    Object.keys(CATALOG_COLUMNS).map((t) => [t, new Map()])
+  );
+  for (const o of rows || []) {
+    for (const [type, fields] of Object.entries(CATALOG_COLUMNS)) {
+      for (const raw of splitList(firstField(o, fields))) {
+        if (!isCardItem(raw)) continue;
+        const base = brandCanonicalize(getBase(raw));
+        const baseNorm = toNorm(base);
+        if (baseNorm && !maps[type].has(baseNorm)) {
+          maps[type].set(baseNorm, base);
+        }
+      }
+    }
+  }
+  return Object.fromEntries(
+    Object.entries(maps).map(([type, m]) => [
+      type,
+      Array.from(m.values()).sort((a, b) => a.localeCompare(b)),
+    ])
+  );
+}
+
+/** buildCatalog() results (one per merchant) as one, the first spelling winning */
+export function mergeCatalogs(catalogs) {
+  const out = {};
+  for (const type of Object.keys(CATALOG_COLUMNS)) {
+    const names = new Map();
+    for (const c of catalogs || []) {
+      for (const name of c?.[type] || []) {
+        const k = toNorm(name);
+        if (!names.has(k)) names.set(k, name);
+      }
+    }
+    out[type] = Array.from(names.values()).sort((a, b) => a.localeCompare(b));
+  }
+  return out;
+}
+
+/**
+ * Search indexes for { credit: [entry], … }: names + aliases rewritten
+ * through the synonym groups, built once per change of either.
+ */
+export function buildSearch(entriesByType, synonymGroups) {
+  const canon = makeCanonicalizer(synonymGroups);
+  const search = { canon };
+  for (const type of ENTRY_TYPES) {
+    search[type] = buildSearchIndex(
+      (entriesByType?.[type] || []).map((entry) => ({
+        entry,
+        texts: [entry.display, ...(entry.aliases || [])].map(canon),
+      }))
+    );
+  }
+  return search;
+}
+
+/** Best matches per type for a raw query: { credit: [entry], … } */
+export function searchEntries(search, query, limit = Infinity) {
+  const q = search.canon(String(query || "").trim());
+  return Object.fromEntries(
+    ENTRY_TYPES.map((type) => [type, searchIndex(search[type], q, limit)])
+  );
+}
+
+/** Parsed %/flat/cap/min-spend terms for a CSV row (memoized per row) */
+export function offerTerms(offer) {
+  return termsForRow(
+    offer,
+    firstField(offer, LIST_FIELDS.title),
+    firstField(offer, LIST_FIELDS.desc)
+  );
+}
+
+/** Start/end dates from the date columns, else from the description text (memoized per row) */
+export function offerValidity(offer) {
+  const desc = firstField(offer, LIST_FIELDS.desc) || "";
+  const title = firstField(offer, LIST_FIELDS.title) || "";
+  return validityForRow(
+    offer,
+    firstField(offer, LIST_FIELDS.startDate),
+    firstField(offer, LIST_FIELDS.endDate),
+    `${desc} ${title}`
+  );
+}
+
+/**
+ * Offer wrapper as rendered by OfferCard; `merchant` is a registry entry,
+ * `eligibility` the declared network/variant check (see cardNetworks.js).
+ */
+export function makeWrapper(
+  offer,
+  merchant,
+  variantText = "",
+  eligibility = "eligible"
+) {
+  return {
+    offer,
+    site: merchant.name,
+    merchant,
+    variantText,
+    eligibility,
+    terms: offerTerms(offer),
+    validity: offerValidity(offer),
+  };
+}
+
+/**
+ * Offers in one merchant's rows that apply to `entry`. A bank entry matches
+ * that issuer's cards or bank-wide rules in any column (listed in `useWith`);
+ * anything else goes through its own column's rules, checked against the
+ * `declared` network/variant. Each wrapper records the entry in `matchedFor`.
+ */
+export function findOffers(entry, merchantRows, { merchant, declared = "" }) {
+  if (!entry) return [];
+  const out = [];
+
+  for (const o of merchantRows || []) {
+    if (entry.type === "bank") {
+      const cards = bankMatches(o, entry.baseNorm);
+      if (cards.length) {
+        out.push({
+          ...makeWrapper(o, merchant),
+          useWith: cards,
+          matchedFor: entry,
+        });
+      }
+      continue;
+    }
+
+    const hit = matchRules(offerRules(o)[entry.type] || [], entry, declared);
+    if (hit) {
+      out.push({
+        ...makeWrapper(o, merchant, hit.variantText, hit.eligibility),
+        matchedFor: entry,
+      });
+    }
+  }
+
+  return out;
+}
+
+/** Wrappers whose offer isn't in `seen` yet (offerKey); adds them to it */
+export function dedupWrappers(arr, seen = new Set()) {
+  const out = [];
+  for (const w of arr || []) {
+    const k = offerKey(w.offer);
+    if (seen.has(k)) continue;
+    seen.add(k);
+    out.push(w);
+  }
+  return out;
+}
+
+/** "Also valid on" labels: the offer's other cards, minus the ones already named */
+export function alsoValidOn(offer, excludeNorms) {
+  const skip = new Set(excludeNorms.map(toNorm));
+  const labels = [];
+  for (const c of offerCards(offer)) {
+    if (skip.has(c.baseNorm)) continue;
+    const label = c.variant ? `${c.display} (${c.variant})` : c.display;
+    if (!labels.includes(label)) labels.push(label);
+  }
+  return labels;
+}
+
+/**
+ * A row's payment columns against the card catalog ({ credit, debit }
+ * entries), for the admin editor: credit/debit names found in it (by name or
+ * alias) or not, plus wildcard rules and UPI/net-banking items, which don't
+ * need a catalog entry. A row with none of the four matches no card at all.
+ */
+export function catalogMatch(row, catalog) {
+  const rules = offerRules(row);
+  const out = { known: [], unknown: [], wildcards: 0, other: 0 };
+  for (const type of ["credit", "debit", "upi", "netbanking"]) {
+    for (const r of rules[type]) {
+      if (r.kind === "exclude") continue;
+      if (r.kind !== "card") out.wildcards += 1;
+      else if (type === "upi" || type === "netbanking") out.other += 1;
+      else if (findCard(catalog?.[type], r.display)) out.known.push(r.display);
+      else if (!out.unknown.includes(r.display)) out.unknown.push(r.display);
+    }
+  }
+  return out;
+}
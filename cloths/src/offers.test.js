@@ -0,0 +1,238 @@
+import fs from "node:fs";
+import Papa from "papaparse";
+import { describe, expect, it } from "vitest";
+import {
+  buildCatalog,
+  buildSearch,
+  searchEntries,
+  findOffers,
+  dedupWrappers,
+  makeEntry,
+} from "./offers.js";
+import { groupOfferRows, offerKey } from "./offerGroups.js";
+import { DEFAULT_MERCHANTS } from "./merchants.js";
+import { DEFAULT_SYNONYMS, normalizeSynonyms } from "./synonyms.js";
+
+/** Rows of a bundled CSV, parsed the way the app parses them */
+const readRows = (file) =>
+  Papa.parse(
+    fs.readFileSync(new URL(`../public/${file}`, import.meta.url), "utf8"),
+    { header: true, skipEmptyLines: true }
+  ).data;
+
+const merchant = (key) => DEFAULT_MERCHANTS.find((m) => m.key === key);
+const myntra = merchant("myntra");
+const amazon = merchant("amazon");
+
+const myntraRows = readRows(myntra.file);
+const amazonRows = readRows(amazon.file);
+
+// Myntra's CRED UPI offer lists one RuPay card per row
+const credRow = myntraRows.find(
+  (r) => r["Eligible Credit Cards"] === "Axis Bank Neo Credit Card (Rupay)"
+);
+
+/** The CRED row with its credit card cell replaced */
+const withCredit = (cell) => ({ ...credRow, "Eligible Credit Cards": cell });
+
+const credit = (name) => makeEntry(name, "credit");
+
+describe("buildCatalog", () => {
+  const names = buildCatalog(groupOfferRows(myntraRows));
+
+  it("lists each card once, without its variant", () => {
+    const neo = names.credit.filter((n) => n.startsWith("Axis Bank Neo"));
+    expect(neo).toEqual(["Axis Bank Neo Credit Card"]);
+  });
+
+  it("keeps UPI apps in their own list", () => {
+    expect(names.upi).toContain("Cred UPI");
+    expect(names.credit).not.toContain("Cred UPI");
+  });
+
+  it("skips wildcard rules", () => {
+    const rows = [withCredit("All RuPay cards, HDFC Millennia Credit Card")];
+    expect(buildCatalog(rows).credit).toEqual(["HDFC Millennia Credit Card"]);
+  });
+
+  it("splits on , / ; and", () => {
+    const rows = [
+      withCredit(
+        "Axis Bank Ace Credit Card, HDFC Millennia Credit Card / " +
+          "Cashback SBI Credit Card; Axis Bank Magnus Credit Card and " +
+          "HDFC Regalia Gold Credit Card"
+      ),
+    ];
+    expect(buildCatalog(rows).credit).toEqual([
+      "Axis Bank Ace Credit Card",
+      "Axis Bank Magnus Credit Card",
+      "Cashback SBI Credit Card",
+      "HDFC Millennia Credit Card",
+      "HDFC Regalia Gold Credit Card",
+    ]);
+  });
+});
+
+describe("searchEntries", () => {
+  const names = buildCatalog(groupOfferRows(myntraRows));
+  const search = buildSearch(
+    {
+      credit: names.credit.map((n) => makeEntry(n, "credit")),
+      upi: names.upi.map((n) => makeEntry(n, "upi")),
+    },
+    normalizeSynonyms(DEFAULT_SYNONYMS)
+  );
+
+  it("finds a card from two of its words", () => {
+    const { credit: hits } = searchEntries(search, "axis neo", 5);
+    expect(hits[0].display).toBe("Axis Bank Neo Credit Card");
+  });
+
+  it("rewrites queries through the synonyms", () => {
+    const short = searchEntries(search, "sbi cc", 5).credit;
+    const long = searchEntries(search, "state bank of india credit card", 5);
+    expect(short[0].display).toMatch(/\bSBI\b/);
+    expect(short).toEqual(long.credit);
+  });
+
+  it("returns every type, empty when nothing matches", () => {
+    const res = searchEntries(search, "zzzz", 5);
+    expect(Object.keys(res)).toEqual([
+      "credit",
+      "debit",
+      "upi",
+      "netbanking",
+      "bank",
+    ]);
+    expect(res.credit).toEqual([]);
+  });
+});
+
+describe("findOffers", () => {
+  const opts = { merchant: myntra };
+
+  it("matches a listed card and records the entry", () => {
+    const found = findOffers(
+      credit("Axis Bank Neo Credit Card"),
+      [credRow],
+      opts
+    );
+    expect(found).toHaveLength(1);
+    expect(found[0].offer).toBe(credRow);
+    expect(found[0].matchedFor.display).toBe("Axis Bank Neo Credit Card");
+  });
+
+  describe("declared variants", () => {
+    const neo = credit("Axis Bank Neo Credit Card");
+    const eligibility = (declared) =>
+      findOffers(neo, [credRow], { ...opts, declared })[0].eligibility;
+
+    it("is unknown until a variant is declared", () => {
+      const [w] = findOffers(neo, [credRow], opts);
+      expect(w.variantText).toBe("Rupay");
+      expect(w.eligibility).toBe("unknown");
+    });
+
+    it("follows the declared network", () => {
+      expect(eligibility("RuPay")).toBe("eligible");
+      expect(eligibility("Visa")).toBe("ineligible");
+    });
+  });
+
+  describe("wildcards", () => {
+    const rupayRow = withCredit("All RuPay cards");
+
+    it("matches cards whose name gives the network", () => {
+      const [w] = findOffers(
+        credit("IDFC First Earn RuPay Credit Card"),
+        [rupayRow],
+        opts
+      );
+      expect(w.eligibility).toBe("eligible");
+    });
+
+    it("leaves other cards to the declared network", () => {
+      const regalia = credit("HDFC Regalia Gold Credit Card");
+      const find = (declared) =>
+        findOffers(regalia, [rupayRow], { ...opts, declared })[0];
+      expect(find("").eligibility).toBe("unknown");
+      expect(find("").variantText).toBe("RuPay");
+      expect(find("RuPay").eligibility).toBe("eligible");
+      expect(find("Visa").eligibility).toBe("ineligible");
+    });
+
+    it("never offers a RuPay rule to a Visa card", () => {
+      const [w] = findOffers(
+        credit("Bank of Baroda Visa Platinum Credit Card"),
+        [rupayRow],
+        opts
+      );
+      expect(w.eligibility).toBe("ineligible");
+    });
+
+    it("applies every exclusion of an except clause", () => {
+      const row = withCredit("All cards except Amex and Diners");
+      const find = (name) => findOffers(credit(name), [row], opts);
+      expect(find("Axis Bank Ace Credit Card")).toHaveLength(1);
+      expect(find("American Express Platinum Card")).toEqual([]);
+      expect(find("HDFC Diners Club Black Credit Card")).toEqual([]);
+    });
+  });
+
+  it("matches each card of a , / ; and list", () => {
+    const row = withCredit(
+      "Axis Bank Ace Credit Card, HDFC Millennia Credit Card / " +
+        "Cashback SBI Credit Card; Axis Bank Magnus Credit Card and " +
+        "HDFC Regalia Gold Credit Card"
+    );
+    for (const name of buildCatalog([row]).credit) {
+      expect(findOffers(credit(name), [row], opts)).toHaveLength(1);
+    }
+    expect(
+      findOffers(credit("Axis Bank Neo Credit Card"), [row], opts)
+    ).toEqual([]);
+  });
+
+  it("lists the matching cards for a bank entry", () => {
+    const found = findOffers(makeEntry("Axis Bank", "bank"), [credRow], opts);
+    expect(found).toHaveLength(1);
+    expect(found[0].useWith).toEqual(["Axis Bank Neo Credit Card"]);
+  });
+});
+
+describe("duplicate rows", () => {
+  // amazon.csv repeats its HDFC EMI offer once per card, and the Biz Grow
+  // row twice
+  const emiRows = amazonRows.filter((r) =>
+    r.Offer?.startsWith(
+      "Flat INR 500 Instant Discount on HDFC Bank Credit Card"
+    )
+  );
+  const emiCard = "HDFC Bank Biz Grow Credit Card";
+
+  it("has the same offer on several rows in the CSV", () => {
+    expect(new Set(emiRows.map(offerKey)).size).toBe(1);
+    expect(emiRows.length).toBeGreaterThan(1);
+  });
+
+  it("dedupWrappers keeps one wrapper per offer", () => {
+    const found = findOffers(credit(emiCard), emiRows, { merchant: amazon });
+    expect(found.length).toBeGreaterThan(1);
+    expect(dedupWrappers(found)).toHaveLength(1);
+  });
+
+  it("dedupWrappers skips offers already shown", () => {
+    const found = findOffers(credit(emiCard), emiRows, { merchant: amazon });
+    const seen = new Set([offerKey(emiRows[0])]);
+    expect(dedupWrappers(found, seen)).toEqual([]);
+  });
+
+  it("groupOfferRows folds them into one row listing each card once", () => {
+    const grouped = groupOfferRows(emiRows);
+    expect(grouped).toHaveLength(1);
+    const cards = grouped[0]["Eligible Credit Cards"].split(", ");
+    expect(new Set(cards).size).toBe(cards.length);
+    const found = findOffers(credit(emiCard), grouped, { merchant: amazon });
+    expect(found).toHaveLength(1);
+  });
+});
@@ -0,0 +1,175 @@
+import axios from "axios";
+import Papa from "papaparse";
+import { toNorm } from "./offerFields.js";
+import { groupOfferRows } from "./offerGroups.js";
+import { CATALOG_FILE, parseCatalog } from "./cardCatalog.js";
+import { PAYMENT_TYPES, offerRules, primeRules } from "./eligibility.js";
+import { buildCatalog } from "./offers.js";
+
+/** -------------------- COMPILED OFFER DATA -------------------- */
+/**
+ * The CSVs in public/ compiled once by the offers-data Vite plugin
+ * (scripts/vite-plugin-offers-data.js) instead of in every browser:
+ *
+ *   offers.json  { version, generatedAt, sites: { [merchant.key]:
+ *                  { file, rowCount, parseErrors, offers: [row],
+ *                    rules: [rules], catalog } } }
+ *   cards.json   { version, generatedAt, credit: [card], debit: [card] }
+ *
+ * Offers are already grouped (offerGroups.js) and empty cells dropped.
+ * `rules[i]` is offerRules(offers[i]) — each row's card lists split and
+ * normalized — without its empty types, and `catalog` is the site's
+ * buildCatalog() names; siteOffers() hands both to the app. Cards are
+ * parseCatalog() entries without their type, baseNorm and empty fields,
+ * which cardIndexEntries() puts back. Bump OFFERS_DATA_VERSION whenever either
+ * shape changes — the app ignores files of another version and reads the CSVs.
+ */
+export const OFFERS_DATA_VERSION = 2;
+export const OFFERS_DATA_FILE = "offers.json";
+export const CARD_INDEX_FILE = "cards.json";
+
+const parseCsv = (text) =>
+  Papa.parse(String(text || ""), { header: true, skipEmptyLines: true });
+
+/** Row without blank cells (firstField skips them anyway) */
+function compactRow(row) {
+  const out = {};
+  for (const [k, v] of Object.entries(row)) {
+    const s = v === null || v === undefined ? "" : String(v).trim();
+    if (k && s) out[k] = s;
+  }
+  return out;
+}
+
+const isBlank = (v) =>
+  v === "" || v === null || (Array.isArray(v) && !v.length);
+
+/**
+ * offerRules() without the payment types the row doesn't list, and each
+ * rule without its baseNorm and empty fields, which siteOffers() puts back
+ */
+function compactRules(rules) {
+  const out = {};
+  for (const type of PAYMENT_TYPES) {
+    if (!rules[type].length) continue;
+    out[type] = rules[type].map((r) => {
+      const rule = {};
+      for (const [k, v] of Object.entries(r)) {
+        if (k !== "baseNorm" && !isBlank(v)) rule[k] = v;
+      }
+      return rule;
+    });
+  }
+  return out;
+}
+
+const expandRule = (r) =>
+  r.kind === "card"
+    ? { ...r, baseNorm: toNorm(r.display), variant: r.variant || "" }
+    : { ...r, cardType: r.cardType ?? null, except: r.except || [] };
+
+/** Catalog entry → only what cardIndexEntries() can't rebuild */
+function compactCard(entry) {
+  const out = {};
+  for (const [k, v] of Object.entries(entry)) {
+    if (k === "type" || k === "baseNorm" || isBlank(v)) continue;
+    out[k] = v;
+  }
+  return out;
+}
+
+/**
+ * Compile both files from CSV text. `readText(file)` returns a public/ file's
+ * contents, or null when it doesn't exist (that merchant is left out, and the
+ * app falls back to its CSV).
+ *
+ * @returns {{ offers: object, cards: object | null }}
+ */
+export function compileOffersData(merchants, readText) {
+  const generatedAt = new Date().toISOString();
+  const sites = {};
+  for (const m of merchants || []) {
+    const text = readText(m.file);
+    if (text === null || text === undefined) continue;
+    const parsed = parseCsv(text);
+    const rows = parsed.data || [];
+    const offers = groupOfferRows(rows).map(compactRow);
+    sites[m.key] = {
+      file: m.file,
+      rowCount: rows.length,
+      parseErrors: (parsed.errors || []).length,
+      offers,
+      rules: offers.map((o) => compactRules(offerRules(o))),
+      catalog: buildCatalog(offers),
+    };
+  }
+
+  let cards = null;
+  const catalogText = readText(CATALOG_FILE);
+  if (catalogText !== null && catalogText !== undefined) {
+    const { credit, debit } = parseCatalog(parseCsv(catalogText).data || []);
+    cards = {
+      version: OFFERS_DATA_VERSION,
+      generatedAt,
+      credit: credit.map(compactCard),
+      debit: debit.map(compactCard),
+    };
+  }
+
+  return {
+    offers: { version: OFFERS_DATA_VERSION, generatedAt, sites },
+    cards,
+  };
+}
+
+/**
+ * One offers.json site → { offers, catalog }, its rows with their compiled
+ * rules already in offerRules()' cache, so the browser doesn't split and
+ * normalize the card lists again.
+ */
+export function siteOffers(site) {
+  site.offers.forEach((o, i) => {
+    const rules = site.rules[i];
+    primeRules(
+      o,
+      Object.fromEntries(
+        PAYMENT_TYPES.map((t) => [t, (rules[t] || []).map(expandRule)])
+      )
+    );
+  });
+  return { offers: site.offers, catalog: site.catalog };
+}
+
+/** cards.json → { credit: [entry], debit: [entry] }, as parseCatalog() returns */
+export function cardIndexEntries(index) {
+  const expand = (type) =>
+    (index?.[type] || []).map((c) => ({
+      type,
+      display: c.display,
+      baseNorm: toNorm(c.display),
+      issuer: c.issuer || "",
+      network: c.network || "",
+      tier: c.tier || "",
+      annualFee: c.annualFee ?? null,
+      image: c.image || "",
+      aliases: c.aliases || [],
+    }));
+  return { credit: expand("credit"), debit: expand("debit") };
+}
+
+/**
+ * Fetch one compiled file; null when it's absent (dev server without the
+ * plugin answers with index.html), unreadable or of another version.
+ */
+export async function loadCompiled(file) {
+  try {
+    const res = await axios.get(`/${file}`);
+    if (res.data?.version === OFFERS_DATA_VERSION) return res.data;
+    console.debug(
+      `[ClothesOffers] ${file} skipped: not a v${OFFERS_DATA_VERSION} file`
+    );
+  } catch (e) {
+    console.debug(`[ClothesOffers] ${file} load error:`, e);
+  }
+  return null;
+}
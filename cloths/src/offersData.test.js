@@ -0,0 +1,68 @@
+import fs from "node:fs";
+import { describe, expect, it } from "vitest";
+import {
+  OFFERS_DATA_VERSION,
+  compileOffersData,
+  siteOffers,
+} from "./offersData.js";
+import { offerRules } from "./eligibility.js";
+import { buildCatalog, mergeCatalogs } from "./offers.js";
+import { DEFAULT_MERCHANTS } from "./merchants.js";
+
+/** public/ file contents, null when missing — as the Vite plugin reads them */
+const readText = (file) => {
+  const url = new URL(`../public/${file}`, import.meta.url);
+  return fs.existsSync(url) ? fs.readFileSync(url, "utf8") : null;
+};
+
+describe("compileOffersData", () => {
+  // through JSON, as the browser gets it
+  const { offers } = JSON.parse(
+    JSON.stringify(compileOffersData(DEFAULT_MERCHANTS, readText))
+  );
+  const sites = Object.values(offers.sites);
+
+  it("compiles every bundled merchant", () => {
+    expect(offers.version).toBe(OFFERS_DATA_VERSION);
+    expect(sites.length).toBeGreaterThan(0);
+    for (const site of sites) {
+      expect(site.rules).toHaveLength(site.offers.length);
+    }
+  });
+
+  it("hands the app each row's rules as offerRules() would parse them", () => {
+    for (const site of sites) {
+      const fresh = site.offers.map((o) => offerRules({ ...o }));
+      const { offers: rows } = siteOffers(site);
+      expect(rows.map(offerRules)).toEqual(fresh);
+    }
+  });
+
+  it("round-trips wildcards and exclusions too", () => {
+    const csv =
+      "Offer Title,Eligible Credit Cards\n" +
+      '10% off,"All RuPay cards, All HDFC Bank credit cards except ' +
+      'corporate, Axis Bank Neo Credit Card (Rupay), All cards except Amex"';
+    const text = (file) => (file === "test.csv" ? csv : null);
+    const merchant = { key: "test", file: "test.csv" };
+    const { offers: compiled } = JSON.parse(
+      JSON.stringify(compileOffersData([merchant], text))
+    );
+    const site = compiled.sites.test;
+    const fresh = offerRules({ ...site.offers[0] });
+    expect(fresh.credit.map((r) => r.kind)).toEqual([
+      "network",
+      "bank",
+      "card",
+      "all",
+    ]);
+    expect(offerRules(siteOffers(site).offers[0])).toEqual(fresh);
+  });
+
+  it("gives the same names as a catalog built from every row", () => {
+    const rows = sites.flatMap((s) => s.offers.map((o) => ({ ...o })));
+    expect(mergeCatalogs(sites.map((s) => siteOffers(s).catalog))).toEqual(
+      buildCatalog(rows)
+    );
+  });
+});
@@ -0,0 +1,34 @@
+/** -------------------- OFFLINE (service worker) -------------------- */
+/**
+ * public/sw.js caches the app shell, the offer data and merchant logos, and
+ * answers from that cache when the network is down. It only runs in builds:
+ * in dev it would keep serving yesterday's CSVs.
+ *
+ * When a data file comes from the cache the worker posts
+ * { type: STALE_DATA_MESSAGE, url, cachedAt } to the page; cachedAt is when
+ * that copy was fetched (ISO string, null if unknown).
+ */
+export const SERVICE_WORKER_URL = "/sw.js";
+export const STALE_DATA_MESSAGE = "offers-data-stale"; // same string in sw.js
+
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register(SERVICE_WORKER_URL).catch((e) => {
+      console.debug("[ClothesOffers] service worker registration failed:", e);
+    });
+  });
+}
+
+/** Call `onStale({ url, cachedAt })` per cached data response; returns the unsubscribe */
+export function onStaleData(onStale) {
+  const sw = typeof navigator !== "undefined" && navigator.serviceWorker;
+  if (!sw) return () => {};
+  const onMessage = (e) => {
+    if (e.data?.type === STALE_DATA_MESSAGE) {
+      onStale({ url: e.data.url, cachedAt: e.data.cachedAt || null });
+    }
+  };
+  sw.addEventListener("message", onMessage);
+  return () => sw.removeEventListener("message", onMessage);
+}
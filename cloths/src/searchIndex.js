@@ -0,0 +1,163 @@
+/** -------------------- SEARCH INDEX -------------------- */
+/**
+ * Built once per entry list so a keystroke doesn't run Levenshtein over every
+ * card. Entry texts (name + aliases, already synonym-rewritten) are split into
+ * words; the vocabulary is kept sorted for prefix lookups and bucketed by
+ * trigram for substring and typo lookups. Edit distance only runs on words
+ * that share a trigram with the query word and is cut off at the typo budget.
+ *
+ * Scoring follows the old per-entry scoreCandidate: a whole-phrase hit scores
+ * 100, otherwise 0.7 × share of query words found + 0.3 × match quality.
+ */
+
+/** Entries scoring at or below this are dropped */
+export const MIN_SCORE = 0.3;
+
+/** Typo budget for a query word: none for short words, 1 from 5 letters, 2 from 8 */
+export const typoBudget = (word) =>
+  word.length >= 8 ? 2 : word.length >= 5 ? 1 : 0;
+
+function trigrams(word) {
+  if (word.length < 3) return [word];
+  const out = new Set();
+  for (let i = 0; i + 3 <= word.length; i++) out.add(word.slice(i, i + 3));
+  return [...out];
+}
+
+/** Levenshtein distance, or max + 1 as soon as it must exceed `max` */
+export function boundedLev(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (cur[j] < rowMin) rowMin = cur[j];
+    }
+    if (rowMin > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+/**
+ * @param {{ entry: object, texts: string[] }[]} docs  texts normalized
+ * @returns index for searchIndex()
+ */
+export function buildSearchIndex(docs) {
+  const postings = new Map(); // word → Set(doc id)
+  (docs || []).forEach((doc, id) => {
+    for (const text of doc.texts) {
+      for (const w of text.split(" ")) {
+        if (!w) continue;
+        if (!postings.has(w)) postings.set(w, new Set());
+        postings.get(w).add(id);
+      }
+    }
+  });
+
+  const words = [...postings.keys()].sort();
+  const grams = new Map(); // trigram → [word]
+  for (const w of words) {
+    for (const g of trigrams(w)) {
+      if (!grams.has(g)) grams.set(g, []);
+      grams.get(g).push(w);
+    }
+  }
+  return { docs: docs || [], postings, words, grams };
+}
+
+/** First index in the sorted vocabulary whose word is >= prefix */
+function lowerBound(words, prefix) {
+  let lo = 0;
+  let hi = words.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (words[mid] < prefix) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/** Vocabulary words matching one query word → Map(word, quality 0..1) */
+function lookupWord(index, qw) {
+  const hits = new Map();
+
+  if (qw.length < 3) {
+    for (let i = lowerBound(index.words, qw); i < index.words.length; i++) {
+      if (!index.words[i].startsWith(qw)) break;
+      hits.set(index.words[i], 1);
+    }
+    return hits;
+  }
+
+  // substring: words carrying every trigram of the query word
+  const lists = trigrams(qw)
+    .map((g) => index.grams.get(g) || [])
+    .sort((a, b) => a.length - b.length);
+  for (const w of lists[0]) {
+    if (w.includes(qw)) hits.set(w, 1);
+  }
+
+  // typos: words sharing at least one trigram, within the edit budget
+  const budget = typoBudget(qw);
+  if (budget > 0) {
+    const seen = new Set(hits.keys());
+    for (const list of lists) {
+      for (const w of list) {
+        if (seen.has(w)) continue;
+        seen.add(w);
+        const d = boundedLev(qw, w, budget);
+        if (d <= budget) hits.set(w, 1 - d / qw.length);
+      }
+    }
+  }
+  return hits;
+}
+
+/**
+ * Best `limit` entries for a normalized query, highest score first, ties by
+ * display name.
+ */
+export function searchIndex(index, query, limit = Infinity) {
+  const q = String(query || "").trim();
+  const qWords = [...new Set(q.split(" ").filter(Boolean))];
+  if (!qWords.length || !index) return [];
+
+  const found = new Map(); // doc id → { matched, quality }
+  for (const qw of qWords) {
+    const best = new Map(); // doc id → best quality for this query word
+    for (const [w, quality] of lookupWord(index, qw)) {
+      for (const id of index.postings.get(w)) {
+        if ((best.get(id) || 0) < quality) best.set(id, quality);
+      }
+    }
+    for (const [id, quality] of best) {
+      const f = found.get(id) || { matched: 0, quality: 0 };
+      f.matched += 1;
+      f.quality += quality;
+      found.set(id, f);
+    }
+  }
+
+  const results = [];
+  for (const [id, { matched, quality }] of found) {
+    const doc = index.docs[id];
+    const phrase =
+      matched === qWords.length && doc.texts.some((t) => t.includes(q));
+    const score = phrase
+      ? 100
+      : (matched / qWords.length) * 0.7 + (quality / qWords.length) * 0.3;
+    if (score > MIN_SCORE) results.push({ entry: doc.entry, score });
+  }
+
+  return results
+    .sort(
+      (a, b) =>
+        b.score - a.score || a.entry.display.localeCompare(b.entry.display)
+    )
+    .slice(0, limit)
+    .map((r) => r.entry);
+}
@@ -0,0 +1,175 @@
+import fs from "node:fs";
+import { performance } from "node:perf_hooks";
+import Papa from "papaparse";
+import { describe, expect, it } from "vitest";
+import {
+  MIN_SCORE,
+  typoBudget,
+  boundedLev,
+  buildSearchIndex,
+  searchIndex,
+} from "./searchIndex.js";
+import { CATALOG_FILE, parseCatalog } from "./cardCatalog.js";
+import { DEFAULT_SYNONYMS, normalizeSynonyms } from "./synonyms.js";
+import { buildSearch, searchEntries } from "./offers.js";
+
+/** Index over plain names, each its own (already normalized) text */
+const indexOf = (names) =>
+  buildSearchIndex(
+    names.map((display) => ({ entry: { display }, texts: [display] }))
+  );
+const names = (index, query, limit) =>
+  searchIndex(index, query, limit).map((e) => e.display);
+
+describe("typoBudget", () => {
+  it("allows no typos below 5 letters, 1 from 5, 2 from 8", () => {
+    expect(["", "a", "hdfc"].map(typoBudget)).toEqual([0, 0, 0]);
+    expect(["axisb", "regalia"].map(typoBudget)).toEqual([1, 1]);
+    expect(["cashback", "millennia"].map(typoBudget)).toEqual([2, 2]);
+  });
+});
+
+describe("boundedLev", () => {
+  it("is the edit distance within the bound", () => {
+    expect(boundedLev("regalia", "regalia", 2)).toBe(0);
+    expect(boundedLev("selct", "select", 1)).toBe(1);
+    expect(boundedLev("millenia", "millennia", 2)).toBe(1);
+    expect(boundedLev("kitten", "sitting", 3)).toBe(3);
+  });
+
+  it("returns max + 1 once the distance must exceed max", () => {
+    expect(boundedLev("visa", "rupay", 1)).toBe(2);
+    expect(boundedLev("kitten", "sitting", 2)).toBe(3);
+    // length difference alone is over the bound
+    expect(boundedLev("sbi", "mastercard", 2)).toBe(3);
+  });
+
+  it("handles empty words", () => {
+    expect(boundedLev("", "", 0)).toBe(0);
+    expect(boundedLev("", "ab", 2)).toBe(2);
+  });
+});
+
+describe("searchIndex", () => {
+  const index = indexOf([
+    "hdfc millennia credit card",
+    "hdfc regalia gold credit card",
+    "axis bank ace credit card",
+    "shdfc imaginary card",
+    "au bank altura credit card",
+  ]);
+
+  it("matches short query words by prefix only", () => {
+    expect(names(index, "hd").sort()).toEqual([
+      "hdfc millennia credit card",
+      "hdfc regalia gold credit card",
+    ]);
+    expect(names(index, "au")).toEqual(["au bank altura credit card"]);
+  });
+
+  it("matches longer words as substrings", () => {
+    expect(names(index, "dfc").sort()).toEqual([
+      "hdfc millennia credit card",
+      "hdfc regalia gold credit card",
+      "shdfc imaginary card",
+    ]);
+  });
+
+  it("tolerates typos within the budget", () => {
+    expect(names(index, "millenia")).toEqual(["hdfc millennia credit card"]);
+    expect(names(index, "regalai gold")[0]).toBe(
+      "hdfc regalia gold credit card"
+    );
+    // 4 letters: no typo budget
+    expect(names(index, "acee")).toEqual([]);
+  });
+
+  it("ranks a whole-phrase hit first", () => {
+    expect(names(index, "ace credit")[0]).toBe("axis bank ace credit card");
+  });
+
+  it("drops entries matching too little of the query", () => {
+    expect(MIN_SCORE).toBeGreaterThan(0);
+    expect(names(index, "zzz yyy xxx ace")).toEqual([]);
+  });
+
+  it("respects the limit and empty queries", () => {
+    expect(names(index, "card", 2)).toHaveLength(2);
+    expect(names(index, "  ")).toEqual([]);
+    expect(searchIndex(null, "hdfc")).toEqual([]);
+  });
+});
+
+/**
+ * Suggestion latency: the real catalog multiplied into made-up co-brands,
+ * searched the way the app does on every keystroke of a few sample queries.
+ */
+describe("suggestion latency", () => {
+  const SCALE = 10;
+  const BUDGET_MS = 16; // p95 per keystroke
+  const MAX_SUGGESTIONS = 50; // as in App.jsx
+
+  const QUERIES = [
+    "hdfc regalia",
+    "sbi cashback",
+    "state bank of india",
+    "amazon pay icici",
+    "axis neo",
+    "hdfc selct",
+    "kotak mahindra",
+    "amex platinum",
+    "flipkart axs",
+    "idfc first wealth",
+    "rupay",
+    "mmt",
+  ];
+
+  // co-brand words so scaled copies add vocabulary, not just duplicates
+  const COBRANDS = (
+    "Nova Orbit Zenith Harbor Summit Cedar Falcon Lumen " +
+    "Quartz Tidal Vertex Willow Ember Aurora Beacon"
+  ).split(" ");
+
+  const scaled = (entries) => {
+    const out = [...entries];
+    for (let k = 1; k < SCALE; k++) {
+      const tag = `${COBRANDS[k % COBRANDS.length]} ${k}`;
+      for (const e of entries) {
+        out.push({ ...e, display: `${tag} ${e.display}`, aliases: [] });
+      }
+    }
+    return out;
+  };
+
+  it(`keeps p95 under ${BUDGET_MS} ms on the catalog ×${SCALE}`, () => {
+    const raw = fs.readFileSync(
+      new URL(`../public/${CATALOG_FILE}`, import.meta.url),
+      "utf8"
+    );
+    const { data } = Papa.parse(raw, { header: true, skipEmptyLines: true });
+    const { credit, debit } = parseCatalog(data);
+    const search = buildSearch(
+      { credit: scaled(credit), debit: scaled(debit) },
+      normalizeSynonyms(DEFAULT_SYNONYMS)
+    );
+    expect(search.credit.docs.length).toBe(credit.length * SCALE);
+
+    // one untimed pass so the JIT has seen the code
+    for (const q of QUERIES) searchEntries(search, q, MAX_SUGGESTIONS);
+
+    const times = [];
+    for (const query of QUERIES) {
+      for (let i = 1; i <= query.length; i++) {
+        const q = query.slice(0, i);
+        if (!q.trim()) continue;
+        const t = performance.now();
+        searchEntries(search, q, MAX_SUGGESTIONS);
+        times.push(performance.now() - t);
+      }
+    }
+    times.sort((a, b) => a - b);
+    const p95 =
+      times[Math.min(times.length - 1, Math.floor(times.length * 0.95))];
+    expect(p95).toBeLessThan(BUDGET_MS);
+  });
+});
@@ -0,0 +1,56 @@
+import axios from "axios";
+import bundledSynonyms from "../public/synonyms.json" with { type: "json" };
+import { toNorm } from "./offerFields.js";
+
+/** -------------------- SEARCH SYNONYMS -------------------- */
+/**
+ * Groups of interchangeable search terms. Entries and queries are both
+ * rewritten to each group's first term before scoring, so "sbi cc" finds
+ * "State Bank of India ... Credit Card" and vice versa. Configured in
+ * public/synonyms.json ({ "groups": [[...], ...] }); DEFAULT_SYNONYMS is that
+ * file's groups as bundled at build time, the fallback when fetching it fails.
+ */
+export const DEFAULT_SYNONYMS = bundledSynonyms.groups;
+
+/** Normalize every term and drop groups with fewer than two distinct terms */
+export function normalizeSynonyms(data) {
+  const groups = Array.isArray(data) ? data : data?.groups;
+  if (!Array.isArray(groups)) return [];
+  const out = [];
+  for (const g of groups) {
+    if (!Array.isArray(g)) continue;
+    const terms = [...new Set(g.map(toNorm).filter(Boolean))];
+    if (terms.length > 1) out.push(terms);
+  }
+  return out;
+}
+
+/** Groups from /synonyms.json, else the built-in defaults */
+export async function loadSynonyms() {
+  try {
+    const res = await axios.get("/synonyms.json");
+    const groups = normalizeSynonyms(res.data);
+    if (groups.length) return groups;
+  } catch (e) {
+    console.debug("[ClothesOffers] synonyms.json load error:", e);
+  }
+  return normalizeSynonyms(DEFAULT_SYNONYMS);
+}
+
+/**
+ * Build a rewriter for normalized groups: text → normalized text with every
+ * synonym replaced by its group's first term (longest phrases first).
+ */
+export function makeCanonicalizer(groups) {
+  const rules = (groups || [])
+    .flatMap(([canon, ...rest]) => rest.map((term) => ({ term, canon })))
+    .sort((a, b) => b.term.length - a.term.length);
+
+  return (text) => {
+    let s = ` ${toNorm(text)} `;
+    for (const { term, canon } of rules) {
+      s = s.split(` ${term} `).join(` ${canon} `);
+    }
+    return s.trim().replace(/\s+/g, " ");
+  };
+}